@@ -0,0 +1,134 @@
+// Automatic preservation of incoming mail.
+//
+// New messages are matched against the rules from the options page; matching
+// messages are preserved right away, to the configured destination, and every
+// attempt is recorded in a log kept in storage.local.
+
+// Only the most recent entries are kept.
+const MAX_AUTO_PRESERVE_LOG_ENTRIES = 500;
+
+// New messages are preserved one after the other, in the order they arrive.
+let autoPreserveQueue = Promise.resolve();
+
+messenger.messages.onNewMailReceived.addListener((folder, messageList) => {
+  autoPreserveQueue = autoPreserveQueue
+    .then(() => autoPreserveNewMessages(folder, messageList))
+    .catch(error => console.error("Automatic preservation failed:", error));
+});
+
+/**
+* Preserves the new messages that match one of the auto-preservation rules.
+* @param {browser.folders.MailFolder} folder The folder the messages arrived in.
+* @param {browser.messages.MessageList} messageList The new messages.
+*/
+async function autoPreserveNewMessages(folder, messageList) {
+  const settings = await getSettings();
+  if (!settings.autoPreserveEnabled || settings.autoPreserveRules.length === 0) return;
+
+  const messages = await collectMessageList(messageList);
+  const tagNames = new Map((await messenger.messages.listTags()).map(({ key, tag }) => [key, tag]));
+
+  for (const message of messages) {
+    const ruleIndex = settings.autoPreserveRules.findIndex(rule => matchesAutoPreserveRule(rule, message, folder, tagNames));
+    if (ruleIndex === -1) continue;
+    // Preserved copies imported into a folder arrive as new mail too.
+    if (await isPreservedCopy(message)) {
+      console.log(`Not auto-preserving message ${message.id} ("${message.subject}"): it is a preserved copy.`);
+      continue;
+    }
+
+    console.log(`Auto-preserving message ${message.id} ("${message.subject}"), matched rule ${ruleIndex + 1}`);
+    const entry = {
+      date: new Date().toISOString(),
+      rule: ruleIndex + 1,
+      subject: message.subject,
+      author: message.author,
+      folder: folder.path,
+      headerMessageId: message.headerMessageId
+    };
+
+    try {
+      // Never show a dialog for mail that is preserved in the background.
+      const { savedAs, previous } = await preserveMessage(message, settings, { saveAs: false, unattended: true });
+      entry.savedAs = savedAs ?? previous.savedAs;
+      entry.outcome = savedAs ? 'preserved' : 'duplicate';
+    } catch (error) {
+      console.error(`Automatic preservation of message ${message.id} failed:`, error);
+      entry.outcome = 'failed';
+      entry.reason = error.message || String(error);
+      notify("Automatic Preservation Failed", `Could not preserve "${message.subject}": ${entry.reason}`);
+    }
+    await appendAutoPreserveLog(entry);
+  }
+}
+
+/**
+* Checks whether a message is a preserved copy, i.e. has an X-Preservation-Info header.
+* @param {browser.messages.MessageHeader} message The message.
+* @returns {Promise<boolean>}
+*/
+async function isPreservedCopy(message) {
+  const fullMessage = await messenger.messages.getFull(message.id);
+  return Boolean(fullMessage.headers?.['x-preservation-info']);
+}
+
+/**
+* Checks a message against one rule. Every condition that is filled in must
+* match; empty conditions match everything. A rule without any condition
+* matches nothing, so an empty row cannot preserve all incoming mail.
+* @param {{sender: string, folder: string, subject: string, tag: string}} rule The rule.
+* @param {browser.messages.MessageHeader} message The new message.
+* @param {browser.folders.MailFolder} folder The folder the message arrived in.
+* @param {Map<string, string>} tagNames The display names of the tags, by tag key.
+* @returns {boolean}
+*/
+function matchesAutoPreserveRule(rule, message, folder, tagNames) {
+  const sender = rule.sender?.trim().toLowerCase();
+  const folderName = rule.folder?.trim().toLowerCase();
+  const subject = rule.subject?.trim();
+  const tag = rule.tag?.trim().toLowerCase();
+  if (!sender && !folderName && !subject && !tag) return false;
+
+  if (sender) {
+    // "Name <user@example.com>" -> "user@example.com"
+    const address = (message.author.match(/<([^>]+)>/)?.[1] || message.author).trim().toLowerCase();
+    if (sender.includes('@') && !sender.startsWith('@')) {
+      if (address !== sender) return false;
+    } else {
+      // A domain also matches its subdomains.
+      const domain = sender.replace(/^@/, '');
+      const addressDomain = address.split('@').pop();
+      if (addressDomain !== domain && !addressDomain.endsWith(`.${domain}`)) return false;
+    }
+  }
+
+  if (folderName && folder.name.toLowerCase() !== folderName && folder.path.toLowerCase() !== folderName) {
+    return false;
+  }
+
+  if (subject) {
+    try {
+      if (!new RegExp(subject, 'i').test(message.subject)) return false;
+    } catch (error) {
+      console.warn(`Ignoring auto-preservation rule with invalid subject pattern: ${subject}`);
+      return false;
+    }
+  }
+
+  // The tag can be given by its key or by its display name.
+  if (tag && !message.tags.some(key => key.toLowerCase() === tag || tagNames.get(key)?.toLowerCase() === tag)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+* Adds an entry to the auto-preservation log.
+* @param {object} entry The log entry.
+*/
+async function appendAutoPreserveLog(entry) {
+  const { [AUTO_PRESERVE_LOG_KEY]: log = [] } = await browser.storage.local.get(AUTO_PRESERVE_LOG_KEY);
+  log.push(entry);
+  await browser.storage.local.set({ [AUTO_PRESERVE_LOG_KEY]: log.slice(-MAX_AUTO_PRESERVE_LOG_ENTRIES) });
+}
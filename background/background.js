@@ -1,6 +1,6 @@
 // Helper function to show notifications to the user
-function notify(title, message) {
-    browser.notifications.create({
+function notify(title, message, notificationId) {
+    return browser.notifications.create(notificationId, {
         "type": "basic",
         "iconUrl": browser.runtime.getURL("icons/preserver-icon.svg"),
         "title": title,
@@ -8,295 +8,729 @@ function notify(title, message) {
     });
 }
 
-// Listener for the user command (handles keyboard shortcut AND menu clicks)
+// Notification used to report batch progress. It is re-created with the same
+// id for every step, so the user only ever sees one of them.
+const BATCH_PROGRESS_NOTIFICATION = "preserve-batch-progress";
+
+// The batch currently being preserved, or null when idle. Only one batch runs
+// at a time; triggering the command again while one is running cancels it.
+let activeBatch = null;
+
+// Popup of the message header button for preserved messages
+const PRESERVATION_VIEWER_POPUP = "viewer/viewer.html";
+
+// Context menu entries
+const MENU_PRESERVE_MESSAGES = "preserve-selected-messages";
+const MENU_PRESERVE_FOLDER = "preserve-folder";
+const MENU_VERIFY_MESSAGE = "verify-preserved-message";
+const MENU_ARCHIVE_FOLDER_MBOX = "archive-folder-mbox";
+const MENU_ARCHIVE_FOLDER_ZIP = "archive-folder-zip";
+
+browser.menus.create({
+  id: MENU_PRESERVE_MESSAGES,
+  title: "Preserve Email",
+  contexts: ["message_list"]
+});
+browser.menus.create({
+  id: MENU_PRESERVE_FOLDER,
+  title: "Preserve All Messages in Folder",
+  contexts: ["folder_pane"]
+});
+browser.menus.create({
+  id: MENU_VERIFY_MESSAGE,
+  title: "Verify Preserved Message",
+  contexts: ["message_list"]
+});
+browser.menus.create({
+  id: MENU_ARCHIVE_FOLDER_MBOX,
+  title: "Archive Folder as mbox",
+  contexts: ["folder_pane"]
+});
+browser.menus.create({
+  id: MENU_ARCHIVE_FOLDER_ZIP,
+  title: "Archive Folder as ZIP of .eml Files",
+  contexts: ["folder_pane"]
+});
+
+// Listener for the user command (handles the keyboard shortcut)
 browser.commands.onCommand.addListener(async (command) => {
   if (command === "preserve-email") {
-    // This robustly finds the currently selected messages, regardless of
-    // how the command was triggered (menu or shortcut).
+    if (activeBatch) {
+        cancelActiveBatch();
+        return;
+    }
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+    if (tabs.length > 0) {
+        await preserveSelectedMessages(getMessagesOfTab(tabs[0]));
+    }
+  } else if (command === "verify-preserved-email") {
     const tabs = await browser.tabs.query({ active: true, currentWindow: true });
     if (tabs.length > 0) {
-        const messages = await messenger.mailTabs.getSelectedMessages(tabs[0].id);
-        await preserveSelectedMessage(messages);
+        await verifySelectedMessages(getMessagesOfTab(tabs[0]));
     }
   }
 });
 
+// Listener for the context menus of the message list and the folder pane
+browser.menus.onClicked.addListener(async (info) => {
+  if (info.menuItemId === MENU_PRESERVE_MESSAGES && info.selectedMessages) {
+      await preserveSelectedMessages(info.selectedMessages);
+  } else if (info.menuItemId === MENU_PRESERVE_FOLDER && info.selectedFolder) {
+      console.log("Preserving all messages in folder:", info.selectedFolder.path);
+      await preserveSelectedMessages(messenger.messages.list(info.selectedFolder));
+  } else if (info.menuItemId === MENU_VERIFY_MESSAGE && info.selectedMessages) {
+      await verifySelectedMessages(info.selectedMessages);
+  } else if (info.menuItemId === MENU_ARCHIVE_FOLDER_MBOX && info.selectedFolder) {
+      await archiveFolder(info.selectedFolder, 'mbox');
+  } else if (info.menuItemId === MENU_ARCHIVE_FOLDER_ZIP && info.selectedFolder) {
+      await archiveFolder(info.selectedFolder, 'zip');
+  }
+});
+
+// Listener for the button in the header of a displayed message. For preserved
+// messages the button opens the preservation viewer instead (see below), and
+// this listener is not called.
+messenger.messageDisplayAction.onClicked.addListener(async (tab) => {
+  await preserveSelectedMessages(getDisplayedMessages(tab.id));
+});
+
+// Turn the button into the preservation viewer while a preserved message is displayed
+messenger.messageDisplay.onMessageDisplayed.addListener(async (tab, message) => {
+  try {
+      const fullMessage = await messenger.messages.getFull(message.id);
+      const preserved = Boolean(fullMessage.headers?.['x-preservation-info']);
+      await messenger.messageDisplayAction.setPopup({ tabId: tab.id, popup: preserved ? PRESERVATION_VIEWER_POPUP : '' });
+      await messenger.messageDisplayAction.setTitle({ tabId: tab.id, title: preserved ? "Preservation Details" : "Preserve Email" });
+  } catch (error) {
+      console.error(`Failed to check whether message ${message.id} is preserved:`, error);
+  }
+});
+
+// Listener for the button in the main toolbar
+browser.browserAction.onClicked.addListener(async (tab) => {
+  await preserveSelectedMessages(getMessagesOfTab(tab));
+});
+
+/**
+* Returns the messages the user is looking at in a tab: the selected messages
+* of a mail tab, or the displayed message of a message tab or window (where
+* `mailTabs` does not apply).
+* @param {browser.tabs.Tab} tab The tab.
+* @returns {Promise<browser.mailTabs.MessageList>}
+*/
+async function getMessagesOfTab(tab) {
+  if (tab.mailTab || tab.type === 'mail') {
+      return messenger.mailTabs.getSelectedMessages(tab.id);
+  }
+  return getDisplayedMessages(tab.id);
+}
+
+/**
+* Returns the messages displayed in a tab as a MessageList.
+* @param {number} tabId The id of the tab.
+* @returns {Promise<browser.mailTabs.MessageList>}
+*/
+async function getDisplayedMessages(tabId) {
+  const displayed = await messenger.messageDisplay.getDisplayedMessages(tabId);
+  // Older Thunderbird versions return a plain array instead of a MessageList.
+  return Array.isArray(displayed) ? { id: null, messages: displayed } : displayed;
+}
+
+// Clicking the progress notification cancels the running batch.
+browser.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === BATCH_PROGRESS_NOTIFICATION) {
+      cancelActiveBatch();
+  }
+});
+
+/**
+* Requests cancellation of the running batch. The message currently being
+* processed is allowed to finish; no further messages are started.
+*/
+function cancelActiveBatch() {
+  if (!activeBatch || activeBatch.cancelled) return;
+  console.log("Cancellation requested for the running preservation batch.");
+  activeBatch.cancelled = true;
+  notify("Cancelling Preservation", "Finishing the current message, then stopping.", BATCH_PROGRESS_NOTIFICATION);
+}
+
+/**
+* Collects every message of a MessageList, following pagination.
+* `getSelectedMessages` and `messages.list` only return the first page;
+* the remaining pages have to be requested with `messages.continueList`.
+* @param {browser.mailTabs.MessageList} messageList The first page of messages.
+* @returns {Promise<browser.messages.MessageHeader[]>} All messages of the list.
+*/
+async function collectMessageList(messageList) {
+  const messages = [...messageList.messages];
+  let listId = messageList.id;
+  while (listId) {
+      const page = await messenger.messages.continueList(listId);
+      messages.push(...page.messages);
+      listId = page.id;
+  }
+  return messages;
+}
+
 /**
-* Main function to get the selected message and start the preservation process.
-* @param {browser.mailTabs.MessageList} [selectedMessages] - Optional. The list of messages to process.
-* If not provided, it will be queried from the active tab.
+* Main function to preserve every selected message. All entry points (shortcut,
+* menus and buttons) end up here.
+* Walks the full selection (all pages), preserves each message in turn, keeps
+* the user informed of the progress and finishes with a single summary.
+* @param {Promise<browser.mailTabs.MessageList>|browser.mailTabs.MessageList} selectedMessages The list of messages to process.
 */
-async function preserveSelectedMessage(selectedMessages) {
+async function preserveSelectedMessages(selectedMessages) {
+  if (activeBatch) {
+      notify("Preservation Running", "Another preservation is still running. Wait for it to finish or cancel it first.");
+      return;
+  }
+  const batch = { cancelled: false };
+  activeBatch = batch;
+
+  let messages;
+  let settings;
+  try {
+      messages = await collectMessageList(await selectedMessages);
+      settings = await getSettings();
+  } catch (error) {
+      activeBatch = null;
+      console.error("Failed to read the message selection:", error);
+      notify("Preservation Error", "Could not read the selected messages. See the console for details.");
+      return;
+  }
+
+  if (messages.length === 0) {
+      activeBatch = null;
+      console.warn("No message selected to preserve.");
+      return;
+  }
+
+  // A single message can use the "Save As" dialog; a batch would open one
+  // dialog per message, so batches are always saved without asking.
+  const isBatch = messages.length > 1;
+  const saveAs = !isBatch && settings.saveMode === 'ask';
+
+  const succeeded = [];
+  const failed = [];
+  const duplicates = [];
+
   try {
-      // The command listener now always provides the selectedMessages object.
-      // We just need to check if it's empty.
-      if (selectedMessages.messages.length === 0) {
-          console.warn("No message selected to preserve.");
-          return;
+      for (const [index, message] of messages.entries()) {
+          if (batch.cancelled) break;
+
+          if (isBatch) {
+              notify(
+                  "Preserving Messages",
+                  `Preserving ${index + 1} of ${messages.length}: ${message.subject || 'No Subject'}\nClick to cancel.`,
+                  BATCH_PROGRESS_NOTIFICATION
+              );
+          }
+
+          try {
+              const { savedAs, previous } = await preserveMessage(message, settings, { saveAs, unattended: isBatch });
+              if (savedAs) {
+                  succeeded.push({ message, savedAs, previous });
+              } else {
+                  duplicates.push({ message, previous });
+              }
+          } catch (error) {
+              console.error(`Error during preservation of message ${message.id}:`, error);
+              failed.push({ message, reason: error.message || String(error) });
+          }
       }
-      
-      const message = selectedMessages.messages[0];
-      const fullMessage = await messenger.messages.getFull(message.id);
-      
-      console.log("Starting preservation for message:", fullMessage);
-      
-      // Extract subject and author from headers
-      const subject = fullMessage.headers?.subject?.[0] || 'Unknown_Subject';
-      const author = fullMessage.headers?.from?.[0] || 'Unknown_Sender';
-      
-      console.log("Message subject:", subject);
-      console.log("Message author:", author);
-      
-      const emlContent = await constructMHTMLEmail(fullMessage, message.id);
-      
-      // Save the generated .eml file to the user's downloads folder
-      const sanitizedSubject = subject.replace(/[^a-z0-9\s-]/gi, '_').replace(/\s+/g, '_');
-      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
-      const filename = `preserved_${sanitizedSubject}_${timestamp}.eml`;
-      const blob = new Blob([emlContent], { type: 'message/rfc822' });
-      const url = URL.createObjectURL(blob);
-      
-      browser.downloads.download({
-          url: url,
-          filename: filename,
-          saveAs: true
-      }).then(() => {
-          const successMsg = `Email successfully preserved as: ${filename}`;
-          console.log(successMsg);
-          notify("Preservation Complete", successMsg);
-          URL.revokeObjectURL(url);
-      }).catch(err => {
-          console.error("Failed to download the preserved email:", err);
-          notify("Download Failed", "Could not save the preserved email. Check browser permissions.");
-          URL.revokeObjectURL(url);
-      });
+  } finally {
+      activeBatch = null;
+      if (isBatch) {
+          await browser.notifications.clear(BATCH_PROGRESS_NOTIFICATION);
+      }
+  }
 
+  reportBatchResult(messages.length, succeeded, failed, duplicates, batch.cancelled);
+}
+
+/**
+* Checks the selected preserved messages against their signed manifest and
+* reports the result of each.
+* @param {Promise<browser.mailTabs.MessageList>|browser.mailTabs.MessageList} selectedMessages The messages to verify.
+*/
+async function verifySelectedMessages(selectedMessages) {
+  try {
+      const messages = await collectMessageList(await selectedMessages);
+      for (const message of messages) {
+          const result = await verifyPreservedMessage(await messenger.messages.getRaw(message.id));
+          console.log(`Verification of "${message.subject}":`, result);
+          notify("Verify Preserved Message", describeVerificationResult(message, result));
+      }
   } catch (error) {
-      console.error("Error during email preservation:", error);
-      notify("Preservation Error", "An unexpected error occurred. See the console for details.");
+      console.error("Error during verification:", error);
+      notify("Verification Error", "Could not verify the message. See the console for details.");
   }
 }
 
 /**
-* Constructs the MHTML email by fetching remote resources and rewriting the HTML.
-* @param {object} message The full Thunderbird message object.
-* @returns {Promise<string>} The complete .eml file content as a string.
+* Summarizes a verification result for the user.
+* @param {browser.messages.MessageHeader} message The verified message.
+* @param {object} result The result of `verifyPreservedMessage`.
+* @returns {string}
 */
-async function constructMHTMLEmail(message, messageId) {
-  console.log("Message parts:", message.parts);
-  console.log("Message structure:", Object.keys(message));
-  
-  // Recursively search for HTML content in nested parts
-  function findHtmlPart(parts) {
-    for (const part of parts) {
-      console.log("Checking part:", part.contentType, "partName:", part.partName);
-      
-      if (part.contentType.includes('text/html')) {
-        return part;
+function describeVerificationResult(message, result) {
+  const subject = message.subject || 'No Subject';
+  if (!result.sealed) {
+      return `"${subject}" has no preservation manifest; it cannot be verified.`;
+  }
+
+  const problems = [];
+  if (!result.signatureValid) problems.push("the manifest signature is invalid");
+  if (!result.headersMatch) problems.push("the headers were changed");
+  if (result.changedParts.length > 0) problems.push(`changed parts: ${result.changedParts.join(', ')}`);
+  if (result.missingParts.length > 0) problems.push(`missing parts: ${result.missingParts.join(', ')}`);
+  if (result.addedParts.length > 0) problems.push(`added parts: ${result.addedParts.join(', ')}`);
+  if (result.originalMatches === false) problems.push("the attached original differs from the original digest");
+
+  if (problems.length > 0) {
+      return `"${subject}" does NOT match its manifest: ${problems.join('; ')}.`;
+  }
+  const original = result.originalMatches ? " The attached original is byte-exact." : "";
+  if (!result.signedByThisInstallation) {
+      // The public key comes with the message, so whoever changed the message
+      // could have signed a new manifest with a key of their own.
+      return `"${subject}" matches its manifest, but it was signed with a key from another installation, ` +
+             `so its origin cannot be confirmed.${original}`;
+  }
+  return `"${subject}" is unchanged since it was preserved (signed by this installation).${original}`;
+}
+
+/**
+* Logs the full outcome of a preservation run and shows one summary notification.
+* @param {number} total The number of messages that were selected.
+* @param {{message: object, savedAs: string, previous: LedgerEntry|null}[]} succeeded The preserved messages.
+* @param {{message: object, reason: string}[]} failed The messages that could not be preserved.
+* @param {{message: object, previous: LedgerEntry}[]} duplicates The messages skipped because they were preserved before.
+* @param {boolean} cancelled Whether the user stopped the run before the end.
+*/
+function reportBatchResult(total, succeeded, failed, duplicates, cancelled) {
+  const skipped = total - succeeded.length - failed.length - duplicates.length;
+  const describePrevious = (previous) => `on ${new Date(previous.preservedAt).toLocaleString()} as ${previous.savedAs}`;
+
+  console.log(`Preservation finished: ${succeeded.length} succeeded, ${failed.length} failed, ` +
+              `${duplicates.length} preserved before, ${skipped} not started.`);
+  succeeded.forEach(({ message, savedAs }) => console.log(`Preserved "${message.subject}" as ${savedAs}`));
+  failed.forEach(({ message, reason }) => console.warn(`Failed to preserve "${message.subject}": ${reason}`));
+  duplicates.forEach(({ message, previous }) => console.log(`Skipped "${message.subject}": preserved ${describePrevious(previous)}`));
+
+  if (total === 1) {
+      if (succeeded.length === 1) {
+          const { savedAs, previous } = succeeded[0];
+          notify("Preservation Complete", `Email successfully preserved as: ${savedAs}` +
+              (previous ? `\nIt had been preserved before, ${describePrevious(previous)}.` : ''));
+      } else if (failed.length === 1) {
+          notify("Preservation Failed", `Could not preserve the email: ${failed[0].reason}`);
+      } else if (duplicates.length === 1) {
+          notify("Already Preserved", `This email was preserved ${describePrevious(duplicates[0].previous)}, ` +
+              `so it was not preserved again. See "Messages preserved before" in the options.`);
       }
-      
-      // If this part has nested parts, search recursively
-      if (part.parts && part.parts.length > 0) {
-        const htmlPart = findHtmlPart(part.parts);
-        if (htmlPart) return htmlPart;
+      return;
+  }
+
+  const lines = [`${succeeded.length} of ${total} messages preserved.`];
+  if (cancelled) {
+      lines.push(`Cancelled: ${skipped} message(s) were not processed.`);
+  }
+  if (duplicates.length > 0) {
+      lines.push(`${duplicates.length} skipped because they were preserved before.`);
+  }
+  const preservedAgain = succeeded.filter(({ previous }) => previous).length;
+  if (preservedAgain > 0) {
+      lines.push(`${preservedAgain} had been preserved before.`);
+  }
+  if (failed.length > 0) {
+      lines.push(`${failed.length} failed:`);
+      // Notifications have limited room; the console has the complete list.
+      const MAX_LISTED_FAILURES = 5;
+      failed.slice(0, MAX_LISTED_FAILURES).forEach(({ message, reason }) => {
+          lines.push(`- ${message.subject || 'No Subject'}: ${reason}`);
+      });
+      if (failed.length > MAX_LISTED_FAILURES) {
+          lines.push(`...and ${failed.length - MAX_LISTED_FAILURES} more (see the console).`);
       }
-    }
-    return null;
   }
-  
-  const originalHtmlPart = findHtmlPart(message.parts);
-  
-  if (!originalHtmlPart) {
-      console.warn("No HTML content found in message, creating plain text version.");
-      console.log("Available parts:", message.parts.map(p => ({ contentType: p.contentType, partName: p.partName })));
-      
-      const author = message.headers?.from?.[0] || 'Unknown Sender';
-      const subject = message.headers?.subject?.[0] || 'No Subject';
-      
-      // Create a basic plain text version if no HTML is found
-      return `From: ${author}\n` +
-             `Subject: ${subject}\n` +
-             `Date: ${new Date().toUTCString()}\n` +
-             `MIME-Version: 1.0\n` +
-             `Content-Type: text/plain; charset="UTF-8"\n\n` +
-             `[No HTML content available for preservation]`;
+
+  const title = cancelled ? "Preservation Cancelled"
+      : failed.length > 0 ? "Preservation Finished With Errors"
+      : "Preservation Complete";
+  notify(title, lines.join('\n'));
+}
+
+/**
+* Preserves a single message and saves the resulting .eml file to the
+* configured destination(s): the downloads folder and/or a Thunderbird folder.
+* The message is recorded in the ledger; a message that is in the ledger
+* already is handled as `settings.duplicateAction` says.
+* @param {browser.messages.MessageHeader} message The message to preserve.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @param {object} options
+* @param {boolean} options.saveAs Whether to show the "Save As" dialog instead of saving into the download subfolder.
+* @param {boolean} [options.unattended=false] Whether the message is preserved in a batch or automatically, where
+*   no dialog may come up for it (see `saveExtraExports`).
+* @returns {Promise<{savedAs: string|null, previous: LedgerEntry|null}>} Where the preserved email was saved, for
+*   display (null if it was skipped as preserved before), and the earlier preservation of the message, if any.
+*/
+async function preserveMessage(message, settings, { saveAs, unattended = false }) {
+  const rawMessage = await messenger.messages.getRaw(message.id);
+  const contentDigest = await computeContentDigest(rawMessage);
+  const previous = settings.duplicateAction === 'allow'
+      ? null
+      : await findLedgerEntry(message.headerMessageId || '', contentDigest);
+  if (previous && settings.duplicateAction === 'skip') {
+      console.log(`Not preserving message ${message.id} again: it was preserved on ${previous.preservedAt} as ${previous.savedAs}.`);
+      return { savedAs: null, previous };
   }
-  
-  console.log("Found HTML part:", originalHtmlPart);
-  
-  // Use the body property if available, otherwise try to get raw content
-  let originalHtmlBody;
-  if (originalHtmlPart.body) {
-    console.log("Using HTML body from part object");
-    originalHtmlBody = originalHtmlPart.body;
-  } else {
-    console.log("Attempting to get raw message content");
-    try {
-      originalHtmlBody = await messenger.messages.getRawMessageContent(message.id, originalHtmlPart.partName);
-    } catch (error) {
-      console.error("Failed to get raw message content:", error);
-      // Fallback: try alternative API methods
-      try {
-        originalHtmlBody = await messenger.messages.get(message.id);
-        originalHtmlBody = originalHtmlBody.body || originalHtmlBody.textBody || '[HTML content not accessible]';
-      } catch (fallbackError) {
-        console.error("Fallback also failed:", fallbackError);
-        originalHtmlBody = '[HTML content not accessible]';
+
+  const { fullMessage, filename, eml, preservedDocument } = await buildPreservedMessage(message, rawMessage, settings);
+  const blob = mimeChunksToBlob(eml, 'message/rfc822');
+  const savedAs = [];
+
+  // Save the generated .eml file to the user's downloads folder
+  if (settings.destination !== 'folder') {
+      let downloadPath = filename;
+      if (!saveAs && settings.downloadSubfolder) {
+          downloadPath = `${sanitizeDownloadPath(settings.downloadSubfolder)}/${filename}`;
       }
-    }
+      await downloadBlob(blob, downloadPath, saveAs);
+      savedAs.push(downloadPath);
   }
 
-  const boundary = `----=_Part_${crypto.randomUUID()}`;
-  let emlParts = [];
-  
+  // Keep a copy inside Thunderbird
+  let imported = false;
+  if (settings.destination !== 'download') {
+      const folder = await importIntoFolder(blob, filename, message, settings);
+      imported = true;
+      savedAs.push(`folder "${folder.name || folder.path}"`);
+  }
+
+  savedAs.push(...await saveExtraExports(preservedDocument, fullMessage, filename.replace(/\.eml$/, ''), settings, { unattended }));
+
+  await appendLedgerEntries([createLedgerEntry(message, contentDigest, savedAs.join(' and '))]);
+  await applyOriginalMessageAction(message, settings, imported);
+
+  console.log(`Email successfully preserved as: ${savedAs.join(' and ')}`);
+  return { savedAs: savedAs.join(' and '), previous };
+}
+
+/**
+* Preserves a message without saving it anywhere.
+* @param {browser.messages.MessageHeader} message The message to preserve.
+* @param {string} rawMessage The raw message from `messenger.messages.getRaw`.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @returns {Promise<{fullMessage: object, filename: string, eml: MimeChunks, preservedDocument: PreservedDocument|null}>}
+*   The full message, the filename for the preserved copy, its content and the document for the other export formats.
+*/
+async function buildPreservedMessage(message, rawMessage, settings) {
+  const fullMessage = await messenger.messages.getFull(message.id);
+
+  console.log("Starting preservation for message:", fullMessage);
+
+  // Extract subject and author from headers
+  const subject = fullMessage.headers?.subject?.[0] || 'Unknown_Subject';
+  const author = fullMessage.headers?.from?.[0] || 'Unknown_Sender';
+
+  console.log("Message subject:", subject);
+  console.log("Message author:", author);
+
+  const { eml, document: preservedDocument } = await constructMHTMLEmail(fullMessage, rawMessage, settings);
+  const filename = buildFilename(settings.filenameTemplate, message, fullMessage);
+  return { fullMessage, filename, eml, preservedDocument };
+}
+
+/**
+* Replaces anything but letters, digits, spaces and hyphens so the value is
+* safe to use in a filename on every platform.
+* @param {string} value The value to sanitize.
+* @returns {string}
+*/
+function sanitizeFilenameToken(value) {
+  return value.replace(/[^a-z0-9\s-]/gi, '_').replace(/\s+/g, '_');
+}
+
+/**
+* Makes a user-provided subfolder path safe for `downloads.download`, which
+* rejects absolute paths and ".." segments.
+* @param {string} path The subfolder path, with "/" or "\\" separators.
+* @returns {string} The sanitized relative path, or '' for the downloads folder itself.
+*/
+function sanitizeDownloadPath(path) {
+  return path.split(/[\\/]+/)
+    .map(segment => segment.replace(/[:*?"<>|\x00-\x1f]/g, '_').replace(/^[.\s]+|[.\s]+$/g, ''))
+    .filter(segment => segment.length > 0)
+    .join('/');
+}
+
+/**
+* Builds the filename of a preserved message from the filename template.
+* Supported tokens: {subject}, {sender}, {date} and {time} (when the message
+* was sent), {folder}, {messageId} and {timestamp} (when it was preserved).
+* @param {string} template The filename template, without extension.
+* @param {browser.messages.MessageHeader} message The message being preserved.
+* @param {object} fullMessage The full message from `messenger.messages.getFull`.
+* @returns {string} The filename, including the .eml extension.
+*/
+function buildFilename(template, message, fullMessage) {
+  const sentDate = message.date ? new Date(message.date) : new Date();
+  const author = fullMessage.headers?.from?.[0] || message.author || '';
+  // Prefer the display name, fall back to the address: "Name <a@b>" -> "Name"
+  const sender = author.replace(/\s*<[^>]*>\s*$/, '').replace(/^"|"$/g, '') || author.replace(/[<>]/g, '');
+
+  const tokens = {
+    subject: fullMessage.headers?.subject?.[0] || 'Unknown_Subject',
+    sender: sender || 'Unknown_Sender',
+    date: sentDate.toISOString().slice(0, 10),
+    time: sentDate.toISOString().slice(11, 19).replace(/:/g, ''),
+    folder: message.folder?.name || 'Unknown_Folder',
+    messageId: (fullMessage.headers?.['message-id']?.[0] || 'Unknown_Message-ID').replace(/^<|>$/g, ''),
+    timestamp: new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')
+  };
+
+  let filename = (template || DEFAULT_SETTINGS.filenameTemplate).replace(/\{(\w+)\}/g, (match, token) =>
+    token in tokens ? sanitizeFilenameToken(tokens[token]) : match
+  );
+  // The template itself may contain characters that are not valid in filenames.
+  filename = sanitizeDownloadPath(filename.replace(/[\\/]/g, '_')).slice(0, 200) || 'preserved';
+  return `${filename}.eml`;
+}
+
+/**
+* Saves a Blob through the downloads API.
+* @param {Blob} blob The content to save.
+* @param {string} filename The suggested filename.
+* @param {boolean} saveAs Whether to show the "Save As" dialog.
+* @returns {Promise<number>} The id of the started download.
+*/
+async function downloadBlob(blob, filename, saveAs) {
+  const url = URL.createObjectURL(blob);
+  try {
+      return await browser.downloads.download({
+          url: url,
+          filename: filename,
+          saveAs: saveAs,
+          conflictAction: 'uniquify'
+      });
+  } catch (err) {
+      console.error("Failed to download the preserved email:", err);
+      throw new Error("Could not save the preserved email. Check browser permissions.");
+  } finally {
+      URL.revokeObjectURL(url);
+  }
+}
+
+/**
+* Constructs the MHTML email by fetching remote resources and rewriting the HTML.
+* The original text/plain alternative and attachments are copied from the raw
+* message unchanged, so the result may contain raw 8-bit data.
+* Messages without an HTML part keep their original body unchanged, unless
+* `options.linkifyPlainText` asks for an HTML rendering of the text.
+* @param {object} message The full Thunderbird message object.
+* @param {string} rawMessage The raw message from `messenger.messages.getRaw`.
+* @param {Partial<typeof DEFAULT_SETTINGS>} [options] The settings that affect preservation; missing ones use their default.
+* @returns {Promise<{eml: MimeChunks, document: PreservedDocument|null}>} The complete .eml file content, in
+*   chunks (see `mimeChunksToBlob`), and the rewritten document for the other export formats (null if the
+*   message has no body to render).
+*/
+async function constructMHTMLEmail(message, rawMessage, options = {}) {
+  options = { ...DEFAULT_SETTINGS, ...options };
+  const fetchTimeout = options.fetchTimeoutSeconds * 1000;
+  // 0 means no limit
+  const maxResourceSize = options.maxResourceSizeMB > 0 ? options.maxResourceSizeMB * 1024 * 1024 : Infinity;
+  const trackerDomains = options.blockTrackers ? buildTrackerDomainList(options.extraTrackerDomains) : null;
+  const fetchOptions = { timeout: fetchTimeout, init: options.privacySafeFetching ? PRIVACY_SAFE_FETCH_INIT : {}, maxSize: maxResourceSize };
+  // What happened to every remote resource, by URL, in the order they were found
+  const resourceReport = new Map();
+
   /**
-   * Encodes an ArrayBuffer to a Base64 string in chunks to avoid memory errors.
-   * @param {ArrayBuffer} buffer The ArrayBuffer to encode.
-   * @returns {string} The Base64 encoded string.
+   * Records the outcome for a resource in the preservation report. Only the
+   * first outcome for a URL counts; later uses of the URL share it.
+   * @param {string} url The URL of the resource, as absolute as it could be made.
+   * @param {string} source Where the resource is referenced, e.g. "img[src]", "css" or "@import".
+   * @param {'embedded'|'failed'|'skipped'|'blocked'} outcome What happened to it.
+   * @param {string|null} [reason] Why it was not embedded.
+   * @param {number|null} [size] The size in bytes, when known.
+   * @param {object} [details] Further details, e.g. the redirects of a followed link.
    */
-  function encodeArrayBufferAsBase64(buffer) {
-    let binary = '';
-    const bytes = new Uint8Array(buffer);
-    const len = bytes.byteLength;
-    for (let i = 0; i < len; i++) {
-      binary += String.fromCharCode(bytes[i]);
+  function recordResource(url, source, outcome, reason = null, size = null, details = {}) {
+    if (!resourceReport.has(url)) {
+      resourceReport.set(url, { url, source, outcome, reason, size, ...details });
     }
-    return btoa(binary);
   }
 
   /**
-   * Encodes a string into Quoted-Printable format.
-   * @param {string} str The string to encode.
-   * @returns {string} The Quoted-Printable encoded string.
+   * Records a resource that could not be fetched: as skipped if it is larger
+   * than the size limit (see `fetchResource`), as failed otherwise.
+   * @param {string} url The URL of the resource.
+   * @param {string} source Where the resource is referenced.
+   * @param {Error} error Why it could not be fetched.
+   * @param {object} [details] Further details, e.g. the redirects of a followed link.
    */
-  function quotedPrintableEncode(str) {
-    // --- FIX: Complete rewrite of Quoted-Printable encoder ---
-    // This new version correctly handles multi-byte UTF-8 characters,
-    // whitespace, and line wrapping according to RFC 2045 standards.
-    const MAX_LINE_LENGTH = 76;
-    let encoded = '';
-    let line = '';
-
-    // Helper to finalize a line
-    function finalizeLine(currentLine) {
-      // Encode trailing whitespace
-      currentLine = currentLine.replace(/[\t ]+$/, (match) => {
-        return match.split('').map(char => '=' + char.charCodeAt(0).toString(16).toUpperCase()).join('');
-      });
-      return currentLine;
+  function recordFetchFailure(url, source, error, details = {}) {
+    if (error.tooLarge) {
+      recordResource(url, source, 'skipped', `Larger than ${options.maxResourceSizeMB} MB`, error.size, details);
+    } else {
+      recordResource(url, source, 'failed', error.message, null, details);
     }
+  }
+
+  console.log("Message parts:", message.parts);
+  console.log("Message structure:", Object.keys(message));
+  
+  // The raw message preserves the original headers and parts perfectly.
+  const rawRoot = parseRawMessage(rawMessage);
+
+  const originalHtmlPart = findHtmlPart(message.parts);
+  // The part the rewritten HTML is based on: the HTML part, or the text part it is rendered from.
+  let bodyPart = originalHtmlPart;
+  // The original text/plain body, when the HTML is rendered from it.
+  let rawPlainTextBodyPart = null;
+  let originalHtmlBody;
+  // The encoding the HTML was written in; stylesheets without a charset of their own use it too.
+  let documentCharset = 'utf-8';
+  
+  if (!originalHtmlPart) {
+      console.warn("No HTML content found in message, preserving the plain text version.");
+      console.log("Available parts:", message.parts.map(p => ({ contentType: p.contentType, partName: p.partName })));
 
-    // --- FIX: Use a for...of loop to correctly handle multi-byte characters (like emoji) ---
-    // The previous for(i=0;...) loop would break surrogate pairs, corrupting them.
-    for (const char of str) {
-      const code = char.charCodeAt(0);
-      let encodedChar = char;
-
-      // Characters that MUST be encoded.
-      if (code > 126 || code === 61 || (code < 32 && code !== 10 && code !== 13)) {
-        // This correctly handles multi-byte characters by first encoding to UTF-8
-        const utf8Bytes = new TextEncoder().encode(char);
-        encodedChar = Array.from(utf8Bytes).map(byte => '=' + ('0' + byte.toString(16).toUpperCase()).slice(-2)).join('');
+      const plainTextPart = findPlainTextPart(message.parts);
+      rawPlainTextBodyPart = plainTextPart && findRawPartByName(rawRoot, plainTextPart.partName);
+      if (!options.linkifyPlainText || !rawPlainTextBodyPart) {
+          // The other export formats still get the text, rendered as HTML.
+          const preservedDocument = plainTextPart
+            ? { html: plainTextToHtml(plainTextPart.body || '', rawPlainTextBodyPart?.contentTypeParams || {}), resources: [], report: [] }
+            : null;
+          return {
+            eml: await sealPreservedMessage(constructOriginalBodyEmail(message, rawRoot, options.attachOriginalMessage), rawMessage),
+            document: preservedDocument
+          };
       }
 
-      // Check if adding the new character(s) exceeds the line length limit.
-      if (line.length + encodedChar.length > MAX_LINE_LENGTH - 1) {
-        encoded += finalizeLine(line) + '=\r\n'; // Add soft line break
-        line = '';
+      // Render the text as HTML, so the links in it can be followed and the
+      // images it links to embedded, just like for HTML messages.
+      console.log("Rendering plain text as HTML:", plainTextPart);
+      bodyPart = plainTextPart;
+      originalHtmlBody = plainTextToHtml(plainTextPart.body || '', rawPlainTextBodyPart.contentTypeParams);
+  } else {
+    console.log("Found HTML part:", originalHtmlPart);
+
+    // Decode the exact bytes of the raw part with the charset it declares, if
+    // it can be found; otherwise use the body property, or try to get raw content
+    const rawHtmlPart = findRawPartByName(rawRoot, originalHtmlPart.partName);
+    if (rawHtmlPart?.contentType === 'text/html') {
+      const encoding = rawHtmlPart.headers.get('content-transfer-encoding')?.[0] || '7bit';
+      const bytes = binaryStringToBytes(decodeTransferEncoding(rawHtmlPart.body, encoding));
+      ({ text: originalHtmlBody, charset: documentCharset } = decodeHtml(bytes, rawHtmlPart.contentTypeParams.charset));
+      console.log(`Decoded the HTML part as ${documentCharset}`);
+    } else if (originalHtmlPart.body) {
+      console.log("Using HTML body from part object");
+      // Thunderbird has decoded it already.
+      originalHtmlBody = originalHtmlPart.body;
+      documentCharset = resolveCharset(parseHeaderParams(originalHtmlPart.contentType).params.charset) || documentCharset;
+    } else {
+      console.log("Attempting to get raw message content");
+      try {
+        const rawHtmlBody = await messenger.messages.getRawMessageContent(message.id, originalHtmlPart.partName);
+        ({ text: originalHtmlBody, charset: documentCharset } = decodeHtml(binaryStringToBytes(rawHtmlBody)));
+      } catch (error) {
+        console.error("Failed to get raw message content:", error);
+        // Fallback: try alternative API methods
+        try {
+          originalHtmlBody = await messenger.messages.get(message.id);
+          originalHtmlBody = originalHtmlBody.body || originalHtmlBody.textBody || '[HTML content not accessible]';
+        } catch (fallbackError) {
+          console.error("Fallback also failed:", fallbackError);
+          originalHtmlBody = '[HTML content not accessible]';
+        }
       }
-      line += encodedChar;
     }
+  }
 
-    // Add the last line if it's not empty
-    if (line.length > 0) {
-      encoded += finalizeLine(line);
-    }
+  const referencedContentIds = findReferencedContentIds(originalHtmlBody);
+  const referencedLocations = findReferencedLocations(originalHtmlBody);
+  const { plainTextPart, alternativeParts, relatedParts, attachmentParts } = rawPlainTextBodyPart
+    ? { ...findOriginalBodyParts(rawRoot, bodyPart.partName, referencedContentIds), plainTextPart: rawPlainTextBodyPart }
+    : findOriginalBodyParts(rawRoot, bodyPart.partName, referencedContentIds, referencedLocations);
+  console.log(`Carrying over ${plainTextPart ? 'the' : 'no'} text/plain alternative, ${alternativeParts.length} other alternative(s), ${relatedParts.length} inline part(s) and ${attachmentParts.length} attachment(s)`);
 
-    // Normalize line endings to CRLF as required by RFC standards.
-    return encoded.replace(/\r\n/g, '\n').replace(/\n/g, '\r\n');
+  const availableContentIds = new Set(relatedParts.map(part => getRawPartContentId(part)?.toLowerCase()));
+  for (const contentId of referencedContentIds) {
+    if (!availableContentIds.has(contentId)) {
+      console.warn(`The HTML refers to cid:${contentId}, but the message has no part with that Content-ID.`);
+    }
   }
+  // Relative URLs that name a kept part by its Content-Location are not missing resources.
+  const availableLocations = new Set(relatedParts.map(getRawPartContentLocation).filter(Boolean));
+  const isOriginalPartReference = url => isInlineReference(url) || availableLocations.has(url.trim());
+
+  let emlParts = [];
 
  /**
- * Fetches fonts from CSS content, converts them to data URIs, and rewrites the CSS.
- * This is more robust than cid: links for fonts, which are not universally supported in CSS.
+ * Fetches every resource referenced through url() in CSS, converts it to a data URI, and rewrites the CSS.
+ * This covers fonts as well as background images and anything else CSS can load.
+ * Data URIs are more robust than cid: links here, which are not universally supported in CSS.
+ * @import rules are fetched and inlined first, so the imported rules are processed too.
  * @param {string} cssContent The text content of the stylesheet.
- * @param {string} cssBaseUrl The base URL for resolving relative font paths.
- * @param {Map<string, string>} processedFonts A map to cache fonts that have already been processed.
- * @param {boolean} [isImport=false] - Flag indicating if this is from an @import rule.
- * @returns {Promise<string>} The updated CSS content with data: URI links for fonts, or a comment on failure.
+ * @param {string|null} cssBaseUrl The base URL for resolving relative paths, or null if only absolute URLs can be resolved.
+ * @param {Map<string, Promise<object|null>>} processedCssUrls A map to cache resources that have already been processed.
+ * @param {string} charset The encoding of imported stylesheets that declare none: that of the document.
+ * @param {object} requestOptions The options of `fetchResource` for the resources of the document.
+ * @param {number} [importDepth=0] - How many @import levels deep this stylesheet is.
+ * @returns {Promise<string>} The updated CSS content with data: URIs.
  */
- async function processCssForFonts(cssContent, cssBaseUrl, processedFonts, isImport = false) {
-    // --- FIX: Handle both inline CSS and @imported CSS files ---
-    // If this is an @import, we need to fetch the CSS content first.
-    if (isImport) {
-        try {
-            console.log(`Fetching @import content from: ${cssBaseUrl}`);
-            const response = await fetch(cssBaseUrl);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            cssContent = await response.text();
-        } catch (error) {
-            console.error(`Failed to fetch imported CSS from ${cssBaseUrl}:`, error);
-            return `/* Failed to import ${cssBaseUrl} */`; // Return a comment on failure
-        }
-    }
-
+ async function processCssUrls(cssContent, cssBaseUrl, processedCssUrls, charset, requestOptions, importDepth = 0) {
     if (!cssContent) return ''; // Return empty string if there's no content to process.
 
-    const fontUrlRegex = /url\((['"]?)(.*?)\1\)/g;
-    const fontPromises = [];
+    cssContent = await inlineCssImports(cssContent, cssBaseUrl, processedCssUrls, charset, requestOptions, importDepth);
+
+    const cssUrlRegex = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+    const urlPromises = new Map();
 
     // Use matchAll to be safe and avoid issues with async operations inside a replace callback.
-    for (const match of cssContent.matchAll(fontUrlRegex)) {
-      const url = match[2];
-      
-      if (!url || !/\.(woff2?|ttf|otf|eot|svg)(\?.*)?$/i.test(url)) {
+    for (const match of cssContent.matchAll(cssUrlRegex)) {
+      const absoluteUrl = resolveResourceUrl(match[2], cssBaseUrl);
+      if (!absoluteUrl) {
+        if (!isOriginalPartReference(match[2])) recordResource(match[2], 'css', 'skipped', 'Not an HTTP(S) URL');
         continue;
       }
+      if (urlPromises.has(absoluteUrl)) continue;
 
-      const absoluteUrl = new URL(url, cssBaseUrl).href;
-      // --- FIX: Check the shared cache to prevent re-downloading the same font. ---
-      if (processedFonts.has(absoluteUrl)) {
-        console.log(`Skipping already processed font: ${absoluteUrl}`);
-        continue; // Already processed or processing
+      const blockReason = findTrackerReason(absoluteUrl, null, trackerDomains);
+      if (blockReason) {
+        console.log(`Blocking CSS resource (${blockReason}): ${absoluteUrl}`);
+        recordResource(absoluteUrl, 'css', 'blocked', blockReason);
+        urlPromises.set(absoluteUrl, Promise.resolve({ blockReason }));
+        continue;
       }
-      processedFonts.set(absoluteUrl, null); // Mark as being processed
 
-      const promise = (async () => {
-        try {
-          console.log(`Embedding font via data URI from: ${absoluteUrl}`);
-          const response = await fetch(absoluteUrl);
-          if (!response.ok) throw new Error(`HTTP ${response.status} for ${absoluteUrl}`);
-          
-          const arrayBuffer = await response.arrayBuffer();
-          const mimeType = response.headers.get('content-type') || 'application/octet-stream';
-          
-          const base64String = encodeArrayBufferAsBase64(arrayBuffer);
-          const dataUri = `data:${mimeType};base64,${base64String}`;
-          
-          processedFonts.set(absoluteUrl, dataUri);
-          console.log(`Successfully created data URI for font: ${absoluteUrl.split('/').pop()}`);
-        } catch (error) {
-          console.error(`Failed to process font file for data URI: ${absoluteUrl}:`, error);
-          processedFonts.set(absoluteUrl, 'error'); // Mark as failed to avoid trying again
-        }
-      })();
-      fontPromises.push(promise);
+      // --- FIX: Check the shared cache to prevent re-downloading the same resource. ---
+      // The cache holds promises, so stylesheets processed in parallel share one download.
+      if (processedCssUrls.has(absoluteUrl)) {
+        console.log(`Reusing already processed CSS resource: ${absoluteUrl}`);
+      } else {
+        processedCssUrls.set(absoluteUrl, fetchCssResourceAsDataUri(absoluteUrl, requestOptions));
+      }
+      urlPromises.set(absoluteUrl, processedCssUrls.get(absoluteUrl));
     }
 
-    await Promise.all(fontPromises);
+    const embeddedUrls = new Map();
+    for (const [absoluteUrl, promise] of urlPromises) {
+      embeddedUrls.set(absoluteUrl, await promise);
+    }
 
-    // Replace URLs with data URIs. This is more robust than cid: links for fonts.
-    const rewrittenCss = cssContent.replace(fontUrlRegex, (match, quote, url) => {
-      if (!url) return match;
-      try {
-        const absoluteUrl = new URL(url, cssBaseUrl).href;
-        const dataUri = processedFonts.get(absoluteUrl);
-        if (dataUri && dataUri !== 'error') {
-          // Data URIs don't need quotes inside url()
-          return `url(${dataUri})`;
-        }
-      } catch (e) {
-        // Ignore invalid URLs that new URL() might choke on
+    // Replace URLs with data URIs, each preceded by a comment recording where it came from.
+    const rewrittenCss = cssContent.replace(cssUrlRegex, (match, quote, url) => {
+      const absoluteUrl = resolveResourceUrl(url, cssBaseUrl);
+      const embedded = absoluteUrl && embeddedUrls.get(absoluteUrl);
+      if (embedded?.blockReason) {
+        return `/* Blocked (${embedded.blockReason}) */ url(${BLOCKED_IMAGE_PLACEHOLDER})`;
+      }
+      if (embedded) {
+        // Data URIs don't need quotes inside url()
+        return `${formatProvenanceComment(embedded.provenance)}url(${embedded.dataUri})`;
       }
       return match;
     });
@@ -304,207 +738,438 @@ async function constructMHTMLEmail(message, messageId) {
     return rewrittenCss;
   }
 
-  // Use DOMParser to find and process remote resources in the HTML body
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(originalHtmlBody, "text/html");
-  
-  // --- FIX 1: Refine resource selection to avoid fetching linked pages ---
-  // --- FIX 2: Create a single font cache for the entire message processing. ---
-  const processedFonts = new Map();
-
-  // We only want resources essential for rendering, not every hyperlink.
-  let remoteResources = doc.querySelectorAll(
-    'img[src^="http"], link[rel="stylesheet"][href^="http"]'
-    // We explicitly DO NOT include 'a[href]' here.
-  );
-
-  // Sanitize the HTML by removing script tags for security and stability
-  console.log("Sanitizing HTML: removing script tags...");
-  const scripts = doc.querySelectorAll('script');
-  scripts.forEach(script => script.remove());
-  
-  console.log(`Found ${remoteResources.length} remote resources to process`);
-  remoteResources.forEach((el, index) => {
-      const url = el.src || el.href;
-      const tagName = el.tagName.toLowerCase();
-      console.log(`Resource ${index + 1}: ${tagName} - ${url}`);
-  });
-  
-  // Also find and replace @import url() statements in style tags and CSS
-  const styleElements = doc.querySelectorAll('style');
-  const importPromises = [];
-
-  for (const styleEl of styleElements) {
-    if (!styleEl.textContent) continue;
-
-    // Process @import rules
-    // Use matchAll to handle multiple @import statements safely with async operations.
-    const importMatches = [...styleEl.textContent.matchAll(/@import\s+url\((['"]?)(.*?)\1\);?/g)];
-    
-    for (const match of importMatches) {
-      const importUrl = match[2];
-      console.log(`Found @import URL, preparing to inline: ${importUrl}`);
+  /**
+   * Fetches a resource referenced from CSS and converts it to a data URI.
+   * @param {string} absoluteUrl The URL of the resource.
+   * @param {object} requestOptions The options of `fetchResource`.
+   * @returns {Promise<{dataUri: string, provenance: object}|null>} The data URI and the fetch provenance, or null on failure.
+   */
+  async function fetchCssResourceAsDataUri(absoluteUrl, requestOptions) {
+    try {
+      console.log(`Embedding CSS resource via data URI from: ${absoluteUrl}`);
+      const resource = await fetchResource(absoluteUrl, requestOptions);
+      const arrayBuffer = resource.data;
+      const mimeType = resource.contentType;
+      if (arrayBuffer.byteLength > maxResourceSize) {
+        console.warn(`Skipping large CSS resource (${arrayBuffer.byteLength} bytes): ${absoluteUrl}`);
+        recordResource(absoluteUrl, 'css', 'skipped', `Larger than ${options.maxResourceSizeMB} MB`, arrayBuffer.byteLength);
+        return null;
+      }
+      const provenance = await buildFetchProvenance(absoluteUrl, resource, arrayBuffer);
       
-      const promise = (async () => {
-        // Fetch the CSS, process its fonts, and replace the @import with the full CSS.
-        const importedCss = await processCssForFonts(null, importUrl, processedFonts, true);
-        styleEl.textContent = styleEl.textContent.replace(match[0], importedCss);
-        console.log(`Successfully inlined CSS from: ${importUrl}`);
-      })();
-      importPromises.push(promise);
+      const base64String = encodeArrayBufferAsBase64(arrayBuffer);
+      const dataUri = `data:${mimeType};base64,${base64String}`;
+      
+      console.log(`Successfully created data URI for CSS resource: ${absoluteUrl.split('/').pop()}`);
+      recordResource(absoluteUrl, 'css', 'embedded', null, arrayBuffer.byteLength);
+      return { dataUri, provenance };
+    } catch (error) {
+      console.error(`Failed to process CSS resource for data URI: ${absoluteUrl}:`, error);
+      recordFetchFailure(absoluteUrl, 'css', error);
+      return null; // Cached as failed to avoid trying again
     }
   }
 
-  await Promise.all(importPromises);
+  /**
+   * Replaces the @import rules of a stylesheet with the processed content of the imported stylesheets.
+   * @param {string} cssContent The text content of the stylesheet.
+   * @param {string|null} cssBaseUrl The base URL for resolving relative import URLs.
+   * @param {Map<string, Promise<object|null>>} processedCssUrls The shared CSS resource cache.
+   * @param {string} charset The encoding of imported stylesheets that declare none.
+   * @param {object} requestOptions The options of `fetchResource`.
+   * @param {number} importDepth How many @import levels deep this stylesheet is.
+   * @returns {Promise<string>} The CSS with the imports inlined, or replaced by a comment on failure.
+   */
+  async function inlineCssImports(cssContent, cssBaseUrl, processedCssUrls, charset, requestOptions, importDepth) {
+    // Guards against import cycles.
+    const MAX_IMPORT_DEPTH = 5;
+    const importRegex = /@import\s+(?:url\(\s*(['"]?)(.*?)\1\s*\)|(['"])(.*?)\3)\s*([^;]*);?/g;
+    const imports = [...cssContent.matchAll(importRegex)];
+    if (imports.length === 0) return cssContent;
 
-  // Update the remote resources list to include the new @import URLs
-  remoteResources = doc.querySelectorAll(
-    'img[src^="http"], link[rel="stylesheet"][href^="http"]'
-  );
-  console.log(`Updated resource count after @import processing: ${remoteResources.length}`);
+    const replacements = await Promise.all(imports.map(async (match) => {
+      const importUrl = resolveResourceUrl(match[2] ?? match[4], cssBaseUrl);
+      if (!importUrl || importDepth >= MAX_IMPORT_DEPTH) {
+        recordResource(importUrl || (match[2] ?? match[4]), '@import', 'skipped',
+          importUrl ? `Imports nested more than ${MAX_IMPORT_DEPTH} levels deep` : 'Not an HTTP(S) URL');
+        return `/* Skipped import of ${match[2] ?? match[4]} */`;
+      }
 
-  let processedCount = 0;
-  let failedCount = 0;
-  const processedResources = new Map(); // Cache for processed resource URLs
-  
-  for (const resourceEl of remoteResources) {
-      const originalSrc = resourceEl.src || resourceEl.href;
-      if (!originalSrc || originalSrc.startsWith('data:') || originalSrc.startsWith('cid:')) continue;
-
-      // --- FIX 2: Improved URL validation ---
-      // This prevents errors with schemes like `tel:`, `mailto:`, etc.,
-      // even when they are wrapped inside an HTTP tracking link.
-      const lowercasedSrc = originalSrc.toLowerCase();
-      if (!lowercasedSrc.startsWith('http') || lowercasedSrc.includes('tel:') || lowercasedSrc.includes('mailto:')) {
-          console.log(`Skipping non-HTTP(S) resource: ${originalSrc}`);
-          continue;
+      const blockReason = findTrackerReason(importUrl, null, trackerDomains);
+      if (blockReason) {
+        console.log(`Blocking @import (${blockReason}): ${importUrl}`);
+        recordResource(importUrl, '@import', 'blocked', blockReason);
+        return `/* Blocked import (${blockReason}) */`;
       }
 
+      let importedCss;
       try {
-          // --- FIX 2: Check cache to avoid re-fetching the same resource ---
-          if (processedResources.has(originalSrc)) {
-              console.log(`Reusing cached resource: ${originalSrc}`);
-              const contentId = processedResources.get(originalSrc);
-              if (resourceEl.hasAttribute('src')) {
-                  resourceEl.setAttribute('src', `cid:${contentId.slice(1, -1)}`);
-              } else if (resourceEl.hasAttribute('href')) {
-                  resourceEl.setAttribute('href', `cid:${contentId.slice(1, -1)}`);
-              }
-              continue; // Skip to the next resource
-          }
+        console.log(`Fetching @import content from: ${importUrl}`);
+        const resource = await fetchResource(importUrl, requestOptions);
+        if (resource.data.byteLength > maxResourceSize) {
+          console.warn(`Skipping large imported CSS (${resource.data.byteLength} bytes): ${importUrl}`);
+          recordResource(importUrl, '@import', 'skipped', `Larger than ${options.maxResourceSizeMB} MB`, resource.data.byteLength);
+          return `/* Skipped import of ${importUrl} */`;
+        }
+        importedCss = decodeStylesheet(resource.data, resource.contentType, charset);
+        recordResource(importUrl, '@import', 'embedded', null, resource.data.byteLength);
+      } catch (error) {
+        console.error(`Failed to fetch imported CSS from ${importUrl}:`, error);
+        recordFetchFailure(importUrl, '@import', error);
+        return error.tooLarge ? `/* Skipped import of ${importUrl} */` : `/* Failed to import ${importUrl} */`;
+      }
 
-          console.log(`Processing resource: ${originalSrc}`);
-          
-          // Use XMLHttpRequest for better handling of binary data and various server responses.
-          const resourceData = await new Promise((resolve, reject) => {
-              const xhr = new XMLHttpRequest();
-              xhr.open('GET', originalSrc, true);
-              xhr.responseType = 'arraybuffer';
-              
-              xhr.onload = function() {
-                  if (xhr.status >= 200 && xhr.status < 300) {
-                      resolve({
-                          data: xhr.response,
-                          contentType: xhr.getResponseHeader('content-type') || 'application/octet-stream'
-                      });
-                  } else {
-                      reject(new Error(`HTTP ${xhr.status}: ${xhr.statusText}`));
-                  }
-              };
-              xhr.onerror = () => reject(new Error('Network error'));
-              xhr.ontimeout = () => reject(new Error('Request timeout'));
-              xhr.timeout = 15000; // 15 second timeout
-              xhr.send();
-          });
-          
-          const mimeType = resourceData.contentType;
-          const filename = originalSrc.split('/').pop().split(/[?#]/)[0] || 'resource';
-          let arrayBuffer = resourceData.data;
-          
-          // Skip very large resources (>10MB) to avoid memory issues
-          if (arrayBuffer.byteLength > 10 * 1024 * 1024) {
-              console.warn(`Skipping large resource (${arrayBuffer.byteLength} bytes): ${originalSrc}`);
-              continue;
-          }
+      importedCss = await processCssUrls(importedCss, importUrl, processedCssUrls, charset, requestOptions, importDepth + 1);
+      console.log(`Successfully inlined CSS from: ${importUrl}`);
 
-          // If it's a stylesheet, process it for fonts before embedding
-          if (mimeType.includes('text/css')) {
-            let cssText = new TextDecoder().decode(arrayBuffer);
-            cssText = await processCssForFonts(cssText, originalSrc, processedFonts);
-            arrayBuffer = new TextEncoder().encode(cssText);
-          }
-          
-          const contentId = `<${crypto.randomUUID()}@eml.rodeo>`;
+      // Keep the media query of the import, e.g. `@import url(print.css) print;`
+      const mediaQuery = match[5].trim();
+      return mediaQuery ? `@media ${mediaQuery} {\n${importedCss}\n}` : importedCss;
+    }));
 
-          // Add the processed resource to our cache
-          processedResources.set(originalSrc, contentId);
+    let index = 0;
+    return cssContent.replace(importRegex, () => replacements[index++]);
+  }
+
+  // Use DOMParser to find and process remote resources in the HTML body
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(originalHtmlBody, "text/html");
+  // The rewritten HTML is written as UTF-8, whatever the original declared.
+  declareUtf8Charset(doc);
+  
+  // Relative URLs can only be resolved if the document declares its base.
+  const documentBaseUrl = resolveResourceUrl(doc.querySelector('base[href]')?.getAttribute('href'), null);
+
+  // --- FIX 2: Create a single CSS resource cache for the entire message processing. ---
+  const processedCssUrls = new Map();
+
+  // Sanitize the HTML by removing script tags for security and stability
+  if (options.stripScripts) {
+    console.log("Sanitizing HTML: removing script tags...");
+    const scripts = doc.querySelectorAll('script');
+    scripts.forEach(script => script.remove());
+  }
+  
+  const processedResources = new Map(); // Content-ID promises by resource URL, in the order of first use
+  const embeddedParts = new Map(); // MIME parts and resource descriptions of the fetched resources by Content-ID
+
+  /**
+   * Adds a resource to the message as a related MIME part, fetching it only once per message.
+   * @param {string} originalSrc The absolute URL of the resource.
+   * @param {string} source Where the resource is referenced, for the report.
+   * @param {string} charset The encoding of a stylesheet that declares none: that of the referring document.
+   * @param {object} requestOptions The options of `fetchResource`.
+   * @returns {Promise<string|null>} The Content-ID (with angle brackets), or null if it could not be embedded.
+   */
+  function embedResource(originalSrc, source, charset, requestOptions) {
+      // --- FIX 2: Check cache to avoid re-fetching the same resource ---
+      if (processedResources.has(originalSrc)) {
+          console.log(`Reusing cached resource: ${originalSrc}`);
+      } else {
+          processedResources.set(originalSrc, fetchAndEmbedResource(originalSrc, source, charset, requestOptions));
+      }
+      return processedResources.get(originalSrc);
+  }
+
+  /**
+   * Fetches a resource and creates its related MIME part.
+   * @param {string} originalSrc The absolute URL of the resource.
+   * @param {string} source Where the resource is referenced, for the report.
+   * @param {string} charset The encoding of a stylesheet that declares none.
+   * @param {object} requestOptions The options of `fetchResource`.
+   * @returns {Promise<string|null>} The Content-ID (with angle brackets), or null if it could not be embedded.
+   */
+  async function fetchAndEmbedResource(originalSrc, source, charset, requestOptions) {
+      try {
+          console.log(`Processing resource: ${originalSrc}`);
           
-          // Rewrite the element's src/href to use the cid: URI
-          if (resourceEl.hasAttribute('src')) {
-              resourceEl.setAttribute('data-original-src', originalSrc);
-              resourceEl.setAttribute('src', `cid:${contentId.slice(1, -1)}`);
-          } else if (resourceEl.hasAttribute('href')) {
-              resourceEl.setAttribute('data-original-href', originalSrc);
-              resourceEl.setAttribute('href', `cid:${contentId.slice(1, -1)}`);
+          const resourceData = await fetchResource(originalSrc, requestOptions);
+          
+          let mimeType = resourceData.contentType;
+          const filename = decodeFilename(originalSrc.split('/').pop().split(/[?#]/)[0]) || 'resource';
+          let arrayBuffer = resourceData.data;
+          
+          // Skip very large resources to avoid memory issues
+          if (arrayBuffer.byteLength > maxResourceSize) {
+              console.warn(`Skipping large resource (${arrayBuffer.byteLength} bytes): ${originalSrc}`);
+              recordResource(originalSrc, source, 'skipped', `Larger than ${options.maxResourceSizeMB} MB`, arrayBuffer.byteLength);
+              return null;
+          }
+
+          // Empty or near-empty responses (no image fits in so few bytes) are not worth a part
+          if (arrayBuffer.byteLength < 7) {
+              console.log(`Skipping empty resource (${arrayBuffer.byteLength} bytes): ${originalSrc}`);
+              recordResource(originalSrc, source, 'skipped', 'Empty response', arrayBuffer.byteLength);
+              return null;
           }
 
-          // Create MIME part for the resource
-          const base64String = encodeArrayBufferAsBase64(arrayBuffer);
+          // Record where the resource came from, hashing the bytes as they were fetched
+          const provenance = await buildFetchProvenance(originalSrc, resourceData, arrayBuffer);
+
+          // If it's a stylesheet, embed everything it references before embedding it
+          if (mimeType.includes('text/css')) {
+            let cssText = decodeStylesheet(arrayBuffer, mimeType, charset);
+            cssText = await processCssUrls(cssText, originalSrc, processedCssUrls, charset, requestOptions);
+            arrayBuffer = new TextEncoder().encode(cssText);
+            mimeType = withUtf8Charset(mimeType);
+          }
           
-          emlParts.push(`--${boundary}\n` +
-                        `Content-Type: ${mimeType}\n` +
-                        `Content-Transfer-Encoding: base64\n` +
-                        `Content-ID: ${contentId}\n` +
-                        `Content-Disposition: inline; filename="${filename}"\n\n` +
-                        base64String.replace(/(.{76})/g, "$1\n") + '\n');
+          // The Content-ID is derived from the embedded bytes, so identical
+          // resources share one part and preserving again gives the same IDs.
+          const contentId = `<${await sha256Hex(arrayBuffer)}@eml.rodeo>`;
+          recordResource(originalSrc, source, 'embedded', null, arrayBuffer.byteLength);
+          if (embeddedParts.has(contentId)) {
+              console.log(`Resource has the same content as one already embedded: ${originalSrc}`);
+              return contentId;
+          }
+
+          // Create MIME part for the resource; the other export formats share its body
+          const body = formatBase64Body(arrayBuffer);
+          embeddedParts.set(contentId, {
+              entity: buildMimeEntity([
+                  ['Content-Type', mimeType],
+                  ['Content-Transfer-Encoding', 'base64'],
+                  ['Content-ID', contentId],
+                  ['Content-Location', originalSrc],
+                  ['X-Preservation-Provenance', formatProvenanceFields(provenance).join('; ')],
+                  ['Content-Disposition', `inline; ${formatParameter('filename', filename)}`]
+              ], body),
+              resource: { contentId: contentId.slice(1, -1), filename, contentType: mimeType, url: originalSrc, encoding: 'base64', body }
+          });
           
-          processedCount++;
           console.log(`Successfully processed resource: ${filename} (${arrayBuffer.byteLength} bytes)`);
+          return contentId;
       } catch (error) {
           console.error(`Failed to process resource from ${originalSrc}:`, error);
-          failedCount++;
+          recordFetchFailure(originalSrc, source, error);
+          return null;
       }
   }
-  
-  console.log(`Resource processing complete: ${processedCount} successful, ${failedCount} failed`);
-  
-  // Clean up tracking pixels and remove font references to prevent remote content warnings
-  console.log('Cleaning up tracking pixels and removing font references...');
-  
-  // First, clean up any empty or problematic attachments (like tracking pixels)
-  emlParts = emlParts.filter(part => {
-      const base64Start = part.indexOf('\n\n') + 2;
-      const base64Content = part.substring(base64Start).trim();
-      // Remove parts with no content or very small content (likely tracking pixels)
-      if (base64Content.length < 10) {
-          console.log('Removing empty/small attachment (likely tracking pixel)');
-          return false;
+
+  /**
+   * Embeds the resources of a document: the url()s of its CSS become data:
+   * URIs, and the resources its elements load become related parts that the
+   * elements refer to by cid: URLs. The document is rewritten in place.
+   * @param {Document} doc The document.
+   * @param {string|null} baseUrl The base URL for relative URLs, or null if only absolute URLs can be resolved.
+   * @param {string} charset The encoding the document was decoded from, which its stylesheets inherit.
+   * @param {object} requestOptions The options of `fetchResource` for the resources of the document.
+   * @param {string} [sourcePrefix] Put in front of the source of every resource in the report.
+   * @returns {Promise<string[]>} The Content-IDs (with angle brackets) of the parts the document refers to,
+   *   in the order the resources are first used, regardless of which download finished first.
+   */
+  async function embedDocumentResources(doc, baseUrl, charset, requestOptions, sourcePrefix = '') {
+    // Process all CSS first: <style> elements (including their @import rules)
+    // and inline style attributes get their url()s embedded as data URIs.
+    const styleElements = doc.querySelectorAll('style');
+    await Promise.all([...styleElements].map(async (styleEl) => {
+      if (!styleEl.textContent) return;
+      styleEl.textContent = await processCssUrls(styleEl.textContent, baseUrl, processedCssUrls, charset, requestOptions);
+    }));
+
+    const styledElements = [...doc.querySelectorAll('[style]')].filter(el => /url\(/i.test(el.getAttribute('style')));
+    await Promise.all(styledElements.map(async (el) => {
+      const originalStyle = el.getAttribute('style');
+      const rewrittenStyle = await processCssUrls(originalStyle, baseUrl, processedCssUrls, charset, requestOptions);
+      if (rewrittenStyle !== originalStyle) {
+        el.setAttribute('data-original-style', originalStyle);
+        el.setAttribute('style', rewrittenStyle);
       }
-      return true;
-  });
+    }));
+
+    // --- FIX 1: Refine resource selection to avoid fetching linked pages ---
+    // We only want resources essential for rendering, not every hyperlink.
+    // (Linked pages are captured separately, see captureLandingPages.)
+    const resourceReferences = discoverResourceReferences(doc);
+    console.log(`Found ${resourceReferences.length} resource references to process`);
+    resourceReferences.forEach(({ element, attribute }, index) => {
+        console.log(`Resource ${index + 1}: ${element.tagName.toLowerCase()}[${attribute}] - ${element.getAttribute(attribute)}`);
+    });
+
+    const contentIdPromises = [];
+    // All references are processed at once; the fetch scheduler limits how many requests actually run in parallel.
+    await Promise.all(resourceReferences.map(async ({ element, attribute, isSrcset }) => {
+        const originalValue = element.getAttribute(attribute);
+        const candidates = isSrcset ? parseSrcset(originalValue) : [{ url: originalValue, descriptor: '' }];
+        const source = `${sourcePrefix}${element.localName}[${attribute}]`;
+        let changed = false;
+        let missing = null;
+
+        for (const candidate of candidates) {
+            const absoluteUrl = resolveResourceUrl(candidate.url, baseUrl);
+            if (!absoluteUrl) {
+                console.log(`Skipping non-HTTP(S) resource: ${candidate.url}`);
+                if (!isOriginalPartReference(candidate.url)) {
+                    recordResource(candidate.url, source, 'skipped', 'Not an HTTP(S) URL');
+                    missing = missing || resourceReport.get(candidate.url);
+                }
+                continue;
+            }
+
+            // Trackers are never fetched; a placeholder takes their place.
+            const blockReason = findTrackerReason(absoluteUrl, element, trackerDomains);
+            if (blockReason) {
+                console.log(`Blocking resource (${blockReason}): ${absoluteUrl}`);
+                recordResource(absoluteUrl, source, 'blocked', blockReason);
+                element.setAttribute('data-preservation-blocked', blockReason);
+                candidate.url = blockedResourcePlaceholder(element);
+                changed = true;
+                continue;
+            }
+
+            const contentIdPromise = embedResource(absoluteUrl, source, charset, requestOptions);
+            contentIdPromises.push(contentIdPromise);
+            const contentId = await contentIdPromise;
+            if (contentId) {
+                candidate.url = `cid:${contentId.slice(1, -1)}`;
+                changed = true;
+            } else {
+                missing = missing || resourceReport.get(absoluteUrl);
+            }
+        }
+
+        // Mark what could not be captured, so the gap is visible when reading the message
+        if (missing) {
+            element.setAttribute('data-preservation-missing', missing.outcome);
+            if (element.localName === 'img') {
+                element.setAttribute('title', `Not preserved: ${missing.reason}`);
+            }
+        }
+
+        // Rewrite the attribute to use the cid: URI(s), keeping the original for reference
+        if (changed) {
+            element.setAttribute(`data-original-${attribute.replace(':', '-')}`, originalValue);
+            element.setAttribute(attribute, isSrcset
+                ? candidates.map(c => c.descriptor ? `${c.url} ${c.descriptor}` : c.url).join(', ')
+                : candidates[0].url);
+        }
+    }));
+
+    return [...new Set((await Promise.all(contentIdPromises)).filter(Boolean))];
+  }
+
+  const embeddedContentIds = await embedDocumentResources(doc, documentBaseUrl, documentCharset, fetchOptions);
+  emlParts = embeddedContentIds.map(contentId => embeddedParts.get(contentId).entity);
+
+  /**
+   * Follows the links of the message and captures the pages they lead to.
+   * Every page becomes a multipart/related part of its own, with the
+   * resources it loads, and records the redirects on the way to it.
+   * @returns {Promise<MimeChunks[]>} The snapshot parts, in link order.
+   */
+  async function captureLandingPages() {
+    const links = findSnapshotLinks(doc, documentBaseUrl, options.snapshotMaxLinks);
+    const allowedDomains = parseSnapshotDomainList(options.snapshotAllowedDomains);
+    // The links, their redirects and the resources of their pages never reach local addresses the user did not allow.
+    const snapshotFetchOptions = { ...fetchOptions, findBlockReason: url => findSnapshotBlockReason(url, allowedDomains) };
+    // 0 means no limit
+    const maxTotalSize = options.snapshotMaxTotalMB > 0 ? options.snapshotMaxTotalMB * 1024 * 1024 : Infinity;
+    console.log(`Capturing the landing pages of ${links.length} link(s)`);
+
+    const snapshots = [];
+    let totalSize = 0;
+    // One page at a time, so no page is fetched once the size limit is reached.
+    for (const link of links) {
+      if (totalSize >= maxTotalSize) {
+        recordResource(link, 'a[href]', 'skipped', `Snapshots reached ${options.snapshotMaxTotalMB} MB in total`);
+        continue;
+      }
+
+      let page;
+      try {
+        page = await fetchLandingPage(link, snapshotFetchOptions);
+      } catch (error) {
+        console.error(`Failed to capture the page of ${link}:`, error);
+        recordFetchFailure(link, 'a[href]', error);
+        continue;
+      }
+      const { finalUrl, redirects, doc: pageDoc, response } = page;
+      if (!isSnapshotDomainAllowed(finalUrl, allowedDomains)) {
+        console.log(`Not capturing ${finalUrl}: not an allowed domain`);
+        recordResource(link, 'a[href]', 'skipped', `Leads to ${new URL(finalUrl).hostname}, which is not an allowed domain`, null, { finalUrl, redirects });
+        continue;
+      }
+      if (response.data.byteLength > maxResourceSize) {
+        recordResource(link, 'a[href]', 'skipped', `Larger than ${options.maxResourceSizeMB} MB`, response.data.byteLength, { finalUrl, redirects });
+        continue;
+      }
+
+      // A snapshot shows the page as it was loaded; it never runs or reloads it.
+      pageDoc.querySelectorAll('script').forEach(script => script.remove());
+      pageDoc.querySelectorAll('meta[http-equiv]').forEach(meta => {
+        if (meta.getAttribute('http-equiv').trim().toLowerCase() === 'refresh') meta.remove();
+      });
+      declareUtf8Charset(pageDoc);
+
+      const pageBaseUrl = resolveResourceUrl(pageDoc.querySelector('base[href]')?.getAttribute('href'), finalUrl) || finalUrl;
+      const pageParts = (await embedDocumentResources(pageDoc, pageBaseUrl, page.charset, snapshotFetchOptions, 'snapshot ')).map(contentId => embeddedParts.get(contentId));
+      const encodedPage = quotedPrintableEncode(pageDoc.documentElement.outerHTML);
+      const size = encodedPage.length + pageParts.reduce((sum, { resource }) => sum + resource.body.size, 0);
+      totalSize += size;
+      recordResource(link, 'a[href]', 'embedded', null, size, { finalUrl, redirects });
+      console.log(`Captured ${finalUrl} (${redirects.length} redirect(s), ${pageParts.length} resource(s), ${size} bytes)`);
+
+      const provenance = await buildFetchProvenance(link, response, response.data);
+      snapshots.push(buildMultipart('related', [
+        buildMimeEntity([
+          ['Content-Type', 'text/html; charset="UTF-8"'],
+          ['Content-Transfer-Encoding', 'quoted-printable'],
+          ['Content-Location', finalUrl],
+          ['X-Preservation-Provenance', formatProvenanceFields(provenance).join('; ')]
+        ], encodedPage),
+        ...pageParts.map(({ entity }) => entity)
+      ], { type: 'text/html' }, [
+        ['Content-Disposition', `attachment; ${formatParameter('filename', `landing-page-${snapshots.length + 1}.mht`)}`],
+        ['Content-Location', finalUrl],
+        ['X-Preservation-Role', 'snapshot'],
+        ['X-Preservation-Snapshot', `${formatParameter('Link', link)}; Redirects="${redirects.length}"`],
+        ...formatRedirectHeaders(redirects)
+      ]));
+    }
+    return snapshots;
+  }
+
+  // The landing pages come after the message's own resources in the report.
+  const snapshotParts = options.snapshotLinkedPages ? await captureLandingPages() : [];
   
+  const reportEntries = [...resourceReport.values()];
+  const reportSummary = summarizeResourceReport(reportEntries);
+  console.log(`Resource processing complete: ${reportSummary.embedded} successful, ${reportSummary.failed} failed, ${reportSummary.skipped} skipped, ${reportSummary.blocked} blocked`);
+
+  // Outline the images that could not be captured
+  if (doc.querySelector('[data-preservation-missing]')) {
+      const missingStyle = doc.createElement('style');
+      missingStyle.textContent = '[data-preservation-missing] { outline: 2px dashed #c62828; }';
+      doc.head.appendChild(missingStyle);
+  }
+
+  // Remove leftover references to prevent remote content warnings
+  console.log('Removing leftover references...');
+
   const elementsWithImportUrls = doc.querySelectorAll('[data-import-url]');
   elementsWithImportUrls.forEach(el => {
       el.removeAttribute('data-import-url');
   });
   
   // Remove target="_blank" and rel="noopener" attributes that might trigger remote content warnings
-  const elementsWithTarget = doc.querySelectorAll('[target="_blank"]');
-  elementsWithTarget.forEach(el => {
-      el.removeAttribute('target');
-  });
-  
-  const elementsWithRel = doc.querySelectorAll('[rel="noopener"]');
-  elementsWithRel.forEach(el => {
-      el.removeAttribute('rel');
-  });
+  if (options.stripLinkTargets) {
+    const elementsWithTarget = doc.querySelectorAll('[target="_blank"]');
+    elementsWithTarget.forEach(el => {
+        el.removeAttribute('target');
+    });
+    
+    const elementsWithRel = doc.querySelectorAll('[rel="noopener"]');
+    elementsWithRel.forEach(el => {
+        el.removeAttribute('rel');
+    });
+  }
   
   // Also remove any remaining @import statements that might have been missed
   const remainingStyleElements = doc.querySelectorAll('style');
   remainingStyleElements.forEach(styleEl => {
       if (styleEl.textContent) {
           styleEl.textContent = styleEl.textContent.replace(
-              /@import\s+url\([^)]+\);?/g,
+              /@import\s+(?:url\([^)]+\)|(['"]).*?\1)[^;]*;?/g,
               ''
           );
       }
@@ -513,85 +1178,659 @@ async function constructMHTMLEmail(message, messageId) {
   const rewrittenHtml = doc.documentElement.outerHTML;
   const encodedHtml = quotedPrintableEncode(rewrittenHtml);
 
-  // Construct the new, more informative X-Preservation-Info header using manifest data
+  const preservationHeader = buildPreservationHeader(message, "MHTML-Hybrid (CID+DataURI)");
+  // One header for every blocked tracker, so the message records what was left out
+  const blockedHeaders = reportEntries
+    .filter(entry => entry.outcome === 'blocked')
+    .map(formatBlockedResourceHeader)
+    .join('');
+  const reportHeader = formatReportSummaryHeader(reportSummary);
+  const headerStr = buildOriginalHeaders(message, rawRoot);
+
+  // Construct the final .eml file content
+  console.log('Creating final email structure...');
+
+  // The rewritten HTML and its resources form the multipart/related part.
+  const htmlPart = buildMimeEntity([
+    ['Content-Type', 'text/html; charset="UTF-8"'],
+    ['Content-Transfer-Encoding', 'quoted-printable']
+  ], encodedHtml);
+
+  // The original inline parts are added unchanged, so existing cid: references keep working
+  let bodyEntity = buildMultipart('related', [htmlPart, ...relatedParts.map(formatRawEntity), ...emlParts], { type: 'text/html' });
+
+  // Keep the original text/plain and other alternatives before the rewritten
+  // HTML, so that the HTML stays the preferred rendering.
+  const alternativeEntities = [...(plainTextPart ? [plainTextPart] : []), ...alternativeParts].map(formatRawBodyEntity);
+  if (alternativeEntities.length > 0) {
+    bodyEntity = buildMultipart('alternative', [...alternativeEntities, bodyEntity]);
+  }
+
+  // Carry the original attachments over unchanged, after the body, followed
+  // by the landing page snapshots, the preservation report and the untouched
+  // original message if requested.
+  const report = buildPreservationReport(message, reportSummary, reportEntries);
+  const mixedParts = [
+    bodyEntity,
+    ...attachmentParts.map(formatRawEntity),
+    ...snapshotParts,
+    buildMimeEntity([
+      ['Content-Type', `application/json; charset="UTF-8"; ${formatParameter('name', PRESERVATION_REPORT_FILENAME)}`],
+      ['Content-Transfer-Encoding', 'quoted-printable'],
+      ['Content-Disposition', `attachment; ${formatParameter('filename', PRESERVATION_REPORT_FILENAME)}`],
+      ['X-Preservation-Role', 'report']
+    ], quotedPrintableEncode(JSON.stringify(report, null, 2)))
+  ];
+  if (options.attachOriginalMessage) {
+    mixedParts.push(buildOriginalMessagePart(rawMessage));
+  }
+  bodyEntity = buildMultipart('mixed', mixedParts);
+
+  const eml = [
+    preservationHeader +
+    reportHeader +
+    blockedHeaders +
+    headerStr +
+    formatHeaderField('MIME-Version', '1.0'),
+    ...bodyEntity
+  ];
+
+  // What the other export formats are rendered from
+  const preservedDocument = {
+    html: rewrittenHtml,
+    resources: [
+      ...relatedParts.map(describeRawPartResource),
+      ...embeddedContentIds.map(contentId => embeddedParts.get(contentId).resource)
+    ],
+    report: reportEntries
+  };
+
+  // Add the signed digests that make later changes detectable
+  return { eml: await sealPreservedMessage(eml, rawMessage), document: preservedDocument };
+}
+
+// Original headers that are not copied to the preserved message, either because
+// the preserved message gets its own MIME structure or because they are
+// Thunderbird-internal. All Content-* headers are dropped as well.
+const HEADERS_TO_FILTER = new Set([
+  'mime-version',
+  'x-mozilla-status',
+  'x-mozilla-status2',
+  'x-preservation-info'
+]);
+
+/**
+* Checks whether an original header is left out of the preserved message.
+* @param {string} headerName The lowercase header name.
+* @returns {boolean}
+*/
+function isFilteredHeader(headerName) {
+  return headerName.startsWith('content-') || HEADERS_TO_FILTER.has(headerName);
+}
+
+/**
+* Constructs the X-Preservation-Info header using manifest data.
+* @param {object} message The full Thunderbird message object.
+* @param {string} preservationMethod How the message was preserved.
+* @returns {string} The header field, folded and terminated by CRLF.
+*/
+function buildPreservationHeader(message, preservationMethod) {
   console.log('Constructing X-Preservation-Info header...');
   const manifest = messenger.runtime.getManifest();
   const toolId = manifest.browser_specific_settings?.gecko?.id || 'unknown-tool';
   const toolVersion = manifest.version || '0.0.0';
   const preservationDate = new Date().toISOString();
   const originalMessageId = message.headers?.['message-id']?.[0] || 'Not-Found';
-  const preservationMethod = "MHTML-Hybrid (CID+DataURI)";
 
-  const preservationHeader = `X-Preservation-Info: Tool="${toolId}"; Version="${toolVersion}"; Preservation-Date="${preservationDate}"; Original-Message-ID="${originalMessageId}"; Preservation-Method="${preservationMethod}"\n`;
+  return formatHeaderField('X-Preservation-Info',
+    `Tool="${toolId}"; Version="${toolVersion}"; Preservation-Date="${preservationDate}"; ` +
+    `Original-Message-ID="${originalMessageId}"; Preservation-Method="${preservationMethod}"`);
+}
 
-  // Get the raw message to preserve original headers perfectly.
-  console.log('Fetching raw message to preserve original headers...');
-  const rawMessage = await messenger.messages.getRaw(messageId);
-  const headerEndIndex = rawMessage.indexOf('\r\n\r\n');
-  let headerStr = '';
+/**
+* Returns the original headers of the message, unchanged except for the
+* filtered ones.
+* @param {object} message The full Thunderbird message object.
+* @param {RawMimePart} rawRoot The parsed raw message.
+* @returns {string} The header fields, each terminated by CRLF.
+*/
+function buildOriginalHeaders(message, rawRoot) {
+  if (rawRoot.headerBlock) {
+    return normalizeLineEndings(filterRawHeaderFields(rawRoot.headerBlock, name => !isFilteredHeader(name)));
+  }
 
-  if (headerEndIndex !== -1) {
-    const rawHeadersBlock = rawMessage.substring(0, headerEndIndex);
-    const headerLines = rawHeadersBlock.split(/\r\n|\n/);
-    const filteredHeaderLines = [];
-    let skipCurrentHeader = false;
-    const headersToFilter = new Set([
-      'content-type', 
-      'mime-version', 
-      'content-transfer-encoding',
-      'x-mozilla-status',
-      'x-mozilla-status2',
-      'x-preservation-info'
-    ]);
-
-    for (const line of headerLines) {
-      // Check if it's a new header line (doesn't start with whitespace)
-      if (line.length > 0 && ' \t'.indexOf(line[0]) === -1) {
-        const colonIndex = line.indexOf(':');
-        if (colonIndex > -1) {
-          const headerName = line.substring(0, colonIndex).toLowerCase();
-          skipCurrentHeader = headersToFilter.has(headerName);
-        } else {
-          skipCurrentHeader = false; // Malformed line, but keep it.
-        }
-      }
-      
-      if (!skipCurrentHeader) {
-        filteredHeaderLines.push(line);
+  // Fallback to parsed headers if raw parsing fails (should be rare).
+  // These are decoded, so non-ASCII text has to be encoded again.
+  console.warn("Could not find raw headers, falling back to parsed headers.");
+  let headerStr = '';
+  if (message.headers) {
+    for (const [key, values] of Object.entries(message.headers)) {
+      if (!isFilteredHeader(key.toLowerCase())) {
+        values.forEach(value => { headerStr += formatHeaderField(key, encodeHeaderText(value)); });
       }
     }
-    headerStr = filteredHeaderLines.join('\n') + '\n';
-  } else {
-    // Fallback to parsed headers if raw parsing fails (should be rare)
-    console.warn("Could not find raw headers, falling back to parsed headers.");
-    if (message.headers) {
-      for (const [key, values] of Object.entries(message.headers)) {
-        if (!headersToFilter.has(key.toLowerCase())) {
-          values.forEach(value => { headerStr += `${key}: ${value}\n`; });
-        }
+  }
+  return headerStr;
+}
+
+/**
+* Preserves a message that has no HTML to rewrite: the original headers and
+* the complete original body (text with its charset and format=flowed
+* parameters, attachments, ...) are kept unchanged, and only the
+* X-Preservation-Info header is added.
+* @param {object} message The full Thunderbird message object.
+* @param {RawMimePart} rawRoot The parsed raw message.
+* @param {boolean} attachOriginal Whether to also attach the untouched original message.
+* @returns {MimeChunks} The complete .eml file content.
+*/
+function constructOriginalBodyEmail(message, rawRoot, attachOriginal) {
+  console.log('Preserving the original message body unchanged...');
+  let bodyEntity = formatRawBodyEntity(rawRoot);
+
+  if (attachOriginal) {
+    bodyEntity = buildMultipart('mixed', [bodyEntity, buildOriginalMessagePart(rawRoot.raw)]);
+  }
+
+  return [
+    buildPreservationHeader(message, "Original-MIME") +
+    buildOriginalHeaders(message, rawRoot) +
+    formatHeaderField('MIME-Version', '1.0')
+  ].concat(bodyEntity);
+}
+
+/**
+* Wraps the raw original message, byte for byte, as a message/rfc822 attachment.
+* The part is marked with `X-Preservation-Role: original`, so verification can
+* check it against the `Original` digest of the manifest.
+* @param {string} rawMessage The raw message from `messenger.messages.getRaw`.
+* @returns {MimeChunks} The MIME entity (headers and body).
+*/
+function buildOriginalMessagePart(rawMessage) {
+  // message/rfc822 may not be base64-encoded (RFC 2046), so the raw bytes are
+  // declared as they are. Bare line breaks are not CRLF text, so they make it binary too.
+  const hasLongLines = rawMessage.split('\n').some(line => line.length > 998);
+  const hasBareLineBreaks = /\r(?!\n)|(?<!\r)\n/.test(rawMessage);
+  const encoding = hasLongLines || hasBareLineBreaks || rawMessage.includes('\0') ? 'binary'
+    : /[\x80-\xff]/.test(rawMessage) ? '8bit'
+    : '7bit';
+
+  return buildMimeEntity([
+    ['Content-Type', `message/rfc822; ${formatParameter('name', 'original.eml')}`],
+    ['Content-Transfer-Encoding', encoding],
+    ['Content-Disposition', `attachment; ${formatParameter('filename', 'original.eml')}`],
+    ['Content-Description', 'Original message (byte-exact copy)'],
+    ['X-Preservation-Role', 'original']
+  ], rawMessage);
+}
+
+// Name of the preservation report part
+const PRESERVATION_REPORT_FILENAME = "preservation-report.json";
+
+/**
+* Counts the resources of a preservation report by outcome.
+* @param {{outcome: string}[]} entries The report entries.
+* @returns {{resources: number, embedded: number, failed: number, skipped: number, blocked: number}}
+*/
+function summarizeResourceReport(entries) {
+  const summary = { resources: entries.length, embedded: 0, failed: 0, skipped: 0, blocked: 0 };
+  for (const entry of entries) {
+    summary[entry.outcome]++;
+  }
+  return summary;
+}
+
+/**
+* Builds the machine-readable preservation report of a message.
+* @param {object} message The full Thunderbird message object.
+* @param {ReturnType<typeof summarizeResourceReport>} summary The counts by outcome.
+* @param {{url: string, source: string, outcome: string, reason: string|null, size: number|null, finalUrl?: string, redirects?: RedirectHop[]}[]} entries
+*   The outcome for every resource; followed links also have the page they led to and the redirects on the way.
+* @returns {object} The report, ready for JSON.stringify.
+*/
+function buildPreservationReport(message, summary, entries) {
+  return {
+    version: 1,
+    preservedAt: new Date().toISOString(),
+    messageId: message.headers?.['message-id']?.[0] || null,
+    summary,
+    resources: entries
+  };
+}
+
+/**
+* Formats the X-Preservation-Report header with the counts of the report.
+* @param {ReturnType<typeof summarizeResourceReport>} summary The counts by outcome.
+* @returns {string} The header field, folded and terminated by CRLF.
+*/
+function formatReportSummaryHeader(summary) {
+  return formatHeaderField('X-Preservation-Report',
+    `Resources="${summary.resources}"; Embedded="${summary.embedded}"; Failed="${summary.failed}"; ` +
+    `Skipped="${summary.skipped}"; Blocked="${summary.blocked}"; Part="${PRESERVATION_REPORT_FILENAME}"`);
+}
+
+/**
+* Recursively searches for the text/html body of a message, skipping parts
+* that are attachments and the contents of attached messages.
+* @param {object[]} parts The parts from `messenger.messages.getFull`.
+* @returns {object|null} The HTML part, or null if there is none.
+*/
+function findHtmlPart(parts) {
+  return findBodyPart(parts, 'text/html');
+}
+
+/**
+* Recursively searches for the text/plain body of a message, skipping parts
+* that are attachments and the contents of attached messages.
+* @param {object[]} parts The parts from `messenger.messages.getFull`.
+* @returns {object|null} The text part, or null if there is none.
+*/
+function findPlainTextPart(parts) {
+  return findBodyPart(parts, 'text/plain');
+}
+
+/**
+* Recursively searches for the first body part of a content type.
+* @param {object[]} parts The parts from `messenger.messages.getFull`.
+* @param {string} contentType The content type, e.g. "text/html".
+* @returns {object|null}
+*/
+function findBodyPart(parts, contentType) {
+  for (const part of parts) {
+    console.log("Checking part:", part.contentType, "partName:", part.partName);
+    // The body of an attached message is not the body of this one.
+    if (isAttachmentPart(part) || part.contentType.toLowerCase().startsWith('message/rfc822')) {
+      continue;
+    }
+    if (part.contentType.toLowerCase().startsWith(contentType)) {
+      return part;
+    }
+    if (part.parts && part.parts.length > 0) {
+      const bodyPart = findBodyPart(part.parts, contentType);
+      if (bodyPart) return bodyPart;
+    }
+  }
+  return null;
+}
+
+/**
+* Checks whether a part is an attachment: it has a filename, or its
+* Content-Disposition says so.
+* @param {object} part A part from `messenger.messages.getFull`.
+* @returns {boolean}
+*/
+function isAttachmentPart(part) {
+  const disposition = part.headers?.['content-disposition']?.[0] || '';
+  return Boolean(part.name) || /^\s*attachment\b/i.test(disposition);
+}
+
+/**
+* Renders a plain-text body as an HTML document. URLs become links, and links
+* to images are followed by the image itself, so they get embedded.
+* @param {string} text The decoded text body.
+* @param {Object<string, string>} contentTypeParams The Content-Type parameters of the text part (format, delsp).
+* @returns {string} The HTML document.
+*/
+function plainTextToHtml(text, contentTypeParams) {
+  if (contentTypeParams.format?.toLowerCase() === 'flowed') {
+    text = unflowText(text, contentTypeParams.delsp?.toLowerCase() === 'yes');
+  }
+
+  const escapeHtml = (str) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const urlRegex = /https?:\/\/[^\s<>"]+/g;
+  const imageUrlRegex = /\.(png|jpe?g|gif|webp|svg|bmp|avif)([?#].*)?$/i;
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(urlRegex)) {
+    // Trailing punctuation usually belongs to the sentence, not the URL.
+    const url = match[0].replace(/[).,;:!?'\]]+$/, '');
+    html += escapeHtml(text.substring(lastIndex, match.index));
+    html += `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+    if (imageUrlRegex.test(url)) {
+      html += `<br><img src="${escapeHtml(url)}" alt=""><br>`;
+    }
+    lastIndex = match.index + url.length;
+  }
+  html += escapeHtml(text.substring(lastIndex));
+
+  return `<!DOCTYPE html>\n<html><head><meta charset="UTF-8"></head><body>` +
+         `<pre style="white-space: pre-wrap; word-wrap: break-word;">${html}</pre>` +
+         `</body></html>`;
+}
+
+/**
+* Joins the soft line breaks of a format=flowed text (RFC 3676).
+* @param {string} text The text as sent.
+* @param {boolean} delSp Whether the space in front of a soft line break is to be deleted (delsp=yes).
+* @returns {string} The text with each paragraph on one line.
+*/
+function unflowText(text, delSp) {
+  const lines = [];
+  let pending = null; // The paragraph that is still being flowed
+
+  for (const line of text.split(/\r?\n/)) {
+    const depth = line.match(/^>*/)[0].length;
+    let content = line.substring(depth);
+    if (content.startsWith(' ')) content = content.substring(1); // Space-stuffing
+    // A trailing space marks a soft line break, except in the signature separator.
+    const isSoftBreak = content.endsWith(' ') && content !== '-- ';
+    if (isSoftBreak && delSp) content = content.slice(0, -1);
+
+    if (pending && pending.depth === depth) {
+      pending.content += content;
+    } else {
+      if (pending) lines.push(pending);
+      pending = { depth, content };
+    }
+    if (!isSoftBreak) {
+      lines.push(pending);
+      pending = null;
+    }
+  }
+  if (pending) lines.push(pending);
+
+  return lines.map(({ depth, content }) => depth > 0 ? `${'>'.repeat(depth)} ${content}` : content).join('\n');
+}
+
+/**
+* Sorts the original MIME entities around the HTML body into the ones that are
+* carried over unchanged: the text/plain alternative of the HTML, the other
+* alternatives (e.g. a text/calendar invite), the inline (related) parts the
+* HTML refers to by Content-ID or Content-Location, and the attachments.
+*
+* The "body" of the message is the HTML part together with the
+* multipart/alternative and multipart/related containers directly around it.
+* Leaf entities inside the body, other than the HTML and the plain text, are
+* the inline parts, except for those marked as attachments and for the
+* alternatives of the HTML without a Content-ID. Every leaf entity outside of
+* it (attachments, calendar invites, mailing list footers, attached messages,
+* ...) counts as an attachment, unless the HTML refers to it by its Content-ID
+* or its Content-Location.
+* @param {RawMimePart} rawRoot The parsed raw message.
+* @param {string} htmlPartName The Thunderbird part name of the HTML body.
+* @param {Set<string>} referencedContentIds The lowercase Content-IDs the HTML refers to via cid: URLs.
+* @param {Set<string>} [referencedLocations] The URLs the HTML loads resources from, as written.
+* @returns {{plainTextPart: RawMimePart|null, alternativeParts: RawMimePart[], relatedParts: RawMimePart[], attachmentParts: RawMimePart[]}}
+*/
+function findOriginalBodyParts(rawRoot, htmlPartName, referencedContentIds, referencedLocations = new Set()) {
+  const allLeafParts = listRawLeafParts(rawRoot);
+
+  const htmlPart = findRawPartByName(rawRoot, htmlPartName);
+  if (!htmlPart) {
+    // The HTML is not a part of the top-level body (e.g. it belongs to an
+    // attached message), so everything in the raw message is an attachment.
+    console.warn(`HTML part ${htmlPartName} not found in the raw message.`);
+    return { plainTextPart: null, alternativeParts: [], relatedParts: [], attachmentParts: allLeafParts };
+  }
+
+  // RFC 2557: relative URLs of the HTML and relative Content-Locations are
+  // both resolved against the Content-Location of the HTML, if it has one.
+  const htmlLocation = getRawPartContentLocation(htmlPart);
+  const resolvedLocations = new Set([...referencedLocations].map(url => resolveContentLocation(url, htmlLocation)));
+  const isReferenced = (part) => {
+    const contentId = getRawPartContentId(part);
+    if (contentId !== null && referencedContentIds.has(contentId.toLowerCase())) return true;
+    const location = getRawPartContentLocation(part);
+    return location !== null && resolvedLocations.has(resolveContentLocation(location, htmlLocation));
+  };
+
+  const bodyContainerTypes = ['multipart/alternative', 'multipart/related'];
+  let bodyContainer = htmlPart;
+  let alternativeContainer = null;
+  while (bodyContainer.parent && bodyContainerTypes.includes(bodyContainer.parent.contentType)) {
+    bodyContainer = bodyContainer.parent;
+    if (!alternativeContainer && bodyContainer.contentType === 'multipart/alternative') {
+      alternativeContainer = bodyContainer;
+    }
+  }
+
+  const plainTextPart = alternativeContainer
+    ? listRawLeafParts(alternativeContainer).find(part =>
+        part.contentType === 'text/plain' && part.disposition !== 'attachment') || null
+    : null;
+
+  const isInsideBody = (part) => {
+    for (let current = part; current; current = current.parent) {
+      if (current === bodyContainer) return true;
+    }
+    return false;
+  };
+
+  const alternativeParts = [];
+  const relatedParts = [];
+  const attachmentParts = [];
+  for (const part of allLeafParts) {
+    if (part === htmlPart || part === plainTextPart) continue;
+    if (isInsideBody(part)) {
+      if (part.disposition === 'attachment') {
+        // Some mailers put attachments (e.g. a PDF) into the multipart/related part.
+        attachmentParts.push(part);
+      } else if (part.parent?.contentType === 'multipart/alternative' && getRawPartContentId(part) === null && !isReferenced(part)) {
+        // Other renderings of the body, like a text/calendar invite or text/enriched.
+        alternativeParts.push(part);
+      } else {
+        // Other leaves of the body are the inline resources of the HTML.
+        relatedParts.push(part);
       }
+    } else if (isReferenced(part)) {
+      // Some mailers put inline images next to the body in multipart/mixed.
+      // They have to move into the related part to keep rendering.
+      relatedParts.push(part);
+    } else {
+      attachmentParts.push(part);
     }
   }
 
-  // Construct the final .eml file content
-  console.log('Creating final multipart/related email structure...');
-  
-  let eml = preservationHeader +
-            headerStr +
-            `MIME-Version: 1.0\n` +
-            `Content-Type: multipart/related; boundary="${boundary}"\n\n`;
-
-  // Add the HTML part
-  eml += `--${boundary}\n` +
-         `Content-Type: text/html; charset="UTF-8"\n` +
-         `Content-Transfer-Encoding: quoted-printable\n\n` +
-         `${encodedHtml}\n\n`;
-  
-  // Add the resource parts
-  eml += emlParts.join('');
+  return { plainTextPart, alternativeParts, relatedParts, attachmentParts };
+}
+
+/**
+* Resolves a Content-Location, or a URL that may refer to one, against the
+* Content-Location of the HTML (RFC 2557).
+* @param {string} url The URL or Content-Location as written.
+* @param {string|null} baseLocation The Content-Location of the HTML, or null if it has none.
+* @returns {string} The absolute URL, or the URL as it is if it cannot be resolved.
+*/
+function resolveContentLocation(url, baseLocation) {
+  try {
+    return new URL(url, baseLocation || undefined).href;
+  } catch (e) {
+    return url; // Relative, without a base: only the same relative URL refers to it
+  }
+}
+
+/**
+* Returns the Content-ID of a raw entity without the angle brackets.
+* @param {RawMimePart} part The entity.
+* @returns {string|null} The Content-ID, or null if the entity has none.
+*/
+function getRawPartContentId(part) {
+  const contentId = part.headers.get('content-id')?.[0];
+  if (!contentId) return null;
+  return contentId.replace(/^<|>$/g, '').trim();
+}
+
+/**
+* Describes an inline part of the original message as a resource of the
+* preserved document.
+* @param {RawMimePart} part The part.
+* @returns {PreservedResource}
+*/
+function describeRawPartResource(part) {
+  return {
+    contentId: getRawPartContentId(part),
+    filename: part.dispositionParams.filename || part.contentTypeParams.name || null,
+    contentType: part.contentType,
+    url: getRawPartContentLocation(part),
+    encoding: part.headers.get('content-transfer-encoding')?.[0] || '7bit',
+    body: part.body
+  };
+}
+
+/**
+* Collects the Content-IDs an HTML document refers to through cid: URLs, in
+* attributes as well as in CSS.
+* @param {string} html The HTML source.
+* @returns {Set<string>} The referenced Content-IDs, decoded and lowercased.
+*/
+function findReferencedContentIds(html) {
+  const contentIds = new Set();
+  for (const match of html.matchAll(/cid:([^"'\s)>]+)/gi)) {
+    try {
+      // RFC 2392: the cid: URL is the percent-encoded Content-ID.
+      contentIds.add(decodeURIComponent(match[1]).toLowerCase());
+    } catch (e) {
+      contentIds.add(match[1].toLowerCase());
+    }
+  }
+  return contentIds;
+}
+
+/**
+* Collects the URLs an HTML document loads resources from, in the attributes
+* `discoverResourceReferences` looks at as well as in CSS. They may refer to
+* parts of the message by their Content-Location (RFC 2557).
+* @param {string} html The HTML source.
+* @returns {Set<string>} The URLs as written, with `&amp;` decoded.
+*/
+function findReferencedLocations(html) {
+  const locations = new Set();
+  const references = /\s(src|srcset|href|xlink:href|background|poster)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))|url\(\s*(['"]|&quot;|&#39;)?(.*?)\5\s*\)/gi;
+  for (const match of html.matchAll(references)) {
+    const value = (match[2] ?? match[3] ?? match[4] ?? match[6]).replace(/&amp;/gi, '&');
+    const urls = match[1]?.toLowerCase() === 'srcset' ? parseSrcset(value).map(candidate => candidate.url) : [value.trim()];
+    for (const url of urls) {
+      if (!isInlineReference(url)) locations.add(url);
+    }
+  }
+  return locations;
+}
+
+/**
+* Resolves a resource URL and checks that it is something we can fetch.
+* @param {string|null|undefined} url The URL as written in the document or stylesheet.
+* @param {string|null} baseUrl The base URL for relative URLs, or null if only absolute URLs are accepted.
+* @returns {string|null} The absolute HTTP(S) URL, or null for data:, cid:, fragments, other schemes and invalid URLs.
+*/
+function resolveResourceUrl(url, baseUrl) {
+  if (!url) return null;
+  let absoluteUrl;
+  try {
+    absoluteUrl = new URL(url.trim(), baseUrl || undefined).href;
+  } catch (e) {
+    return null; // Relative URL without a base, or otherwise invalid
+  }
 
-  // Add the final boundary
-  eml += `--${boundary}--`;
+  // --- FIX 2: Improved URL validation ---
+  // This prevents errors with schemes like `tel:`, `mailto:`, etc.,
+  // even when they are wrapped inside an HTTP tracking link.
+  const lowercasedUrl = absoluteUrl.toLowerCase();
+  if (!/^https?:\/\//.test(lowercasedUrl) || lowercasedUrl.includes('tel:') || lowercasedUrl.includes('mailto:')) {
+    return null;
+  }
+  return absoluteUrl;
+}
+
+/**
+* Decodes a percent-encoded filename taken from a URL.
+* @param {string} name The last path segment of the URL.
+* @returns {string} The decoded name, or the name as it is if it is not valid percent-encoding.
+*/
+function decodeFilename(name) {
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+/**
+* Checks whether a URL refers to content that is already part of the message
+* (data:, cid: or a fragment of the document), so there is nothing to fetch.
+* @param {string} url The URL as written in the document or stylesheet.
+* @returns {boolean}
+*/
+function isInlineReference(url) {
+  return /^\s*(?:data:|cid:|#|$)/i.test(url);
+}
+
+/**
+* Fetches a URL, giving up after the given time.
+* @param {string} url The URL to fetch.
+* @param {number} timeout The timeout in milliseconds.
+* @param {RequestInit} [init] Further fetch() options, e.g. `PRIVACY_SAFE_FETCH_INIT`.
+* @returns {Promise<Response>}
+*/
+async function fetchWithTimeout(url, timeout, init = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    throw controller.signal.aborted ? new Error('Request timeout') : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  return eml;
+/**
+* Records where and when a resource was fetched, for forensic reference.
+* @param {string} url The URL that was requested.
+* @param {{finalUrl?: string, status: number, etag?: string|null, lastModified?: string|null, fetchDate?: string}} response Details of the response; `fetchDate` defaults to now.
+* @param {ArrayBuffer} buffer The fetched bytes.
+* @returns {Promise<{url: string, finalUrl: string, fetchDate: string, status: number, etag: string|null, lastModified: string|null, sha256: string}>}
+*/
+async function buildFetchProvenance(url, response, buffer) {
+  return {
+    url,
+    // The final URL after redirects (empty when the response came without redirects in some engines)
+    finalUrl: response.finalUrl || url,
+    // Resources from the session cache keep the date they were actually fetched
+    fetchDate: response.fetchDate || new Date().toISOString(),
+    status: response.status,
+    etag: response.etag || null,
+    lastModified: response.lastModified || null,
+    sha256: await sha256Hex(buffer)
+  };
+}
+
+/**
+* Lists the provenance fields in the `Name="value"` form of X-Preservation-Info,
+* for the X-Preservation-Provenance header of an embedded part. Long values
+* (URLs, ETags) are split into RFC 2231 sections, see `formatParameter`.
+* @param {object} provenance The provenance from `buildFetchProvenance`.
+* @returns {string[]}
+*/
+function formatProvenanceFields(provenance) {
+  const fields = [
+    formatParameter('Fetch-Date', provenance.fetchDate),
+    formatParameter('HTTP-Status', String(provenance.status)),
+    formatParameter('Final-URL', provenance.finalUrl)
+  ];
+  if (provenance.etag) fields.push(formatParameter('ETag', provenance.etag));
+  if (provenance.lastModified) fields.push(formatParameter('Last-Modified', provenance.lastModified));
+  fields.push(formatParameter('SHA-256', provenance.sha256));
+  return fields;
+}
+
+/**
+* Formats the provenance of a resource inlined into CSS as a data: URI as a
+* CSS comment, which is placed right in front of the url().
+* @param {object} provenance The provenance from `buildFetchProvenance`.
+* @returns {string}
+*/
+function formatProvenanceComment(provenance) {
+  const text = [`Content-Location="${provenance.url}"`, ...formatProvenanceFields(provenance)].join('; ');
+  // A "*/" in a URL or header would end the comment early.
+  return `/* ${text.replace(/\*\//g, '*%2F')} */ `;
+}
+
+/**
+* Computes the SHA-256 digest of some bytes.
+* @param {ArrayBuffer|Uint8Array} buffer The bytes.
+* @returns {Promise<string>} The digest as lowercase hex.
+*/
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
 }
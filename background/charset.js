@@ -0,0 +1,129 @@
+// Character encodings of HTML bodies and stylesheets.
+//
+// Messages and the stylesheets they load come in every encoding: Shift_JIS
+// and ISO-2022-JP newsletters, KOI8-R and Windows-1251 mail, Windows-1252
+// from older mailers. Their text is decoded with the encoding they declare,
+// in the order browsers use: a byte order mark, then the transport (the
+// Content-Type of the MIME part or of the HTTP response), then the document
+// itself (`<meta charset>` or `@charset`). The preserved message is always
+// written as UTF-8, and the declarations in it are updated to say so.
+
+// How far into an HTML document a <meta> charset declaration is looked for.
+const META_CHARSET_PRESCAN_BYTES = 1024;
+
+/**
+* Returns the name of the encoding a charset label stands for.
+* @param {string|null|undefined} label The label, e.g. "Shift_JIS", "latin1" or "utf8".
+* @returns {string|null} The encoding name (e.g. "shift_jis", "windows-1252"), or null if it is not supported.
+*/
+function resolveCharset(label) {
+  if (!label) return null;
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch (error) {
+    console.warn(`Unsupported charset: ${label}`);
+    return null;
+  }
+}
+
+/**
+* Finds the encoding given by a byte order mark.
+* @param {Uint8Array} bytes The text.
+* @returns {string|null} "utf-8", "utf-16le" or "utf-16be", or null if there is no byte order mark.
+*/
+function findByteOrderMark(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+/**
+* Finds the charset declared by the `<meta charset>` or `<meta http-equiv="Content-Type">`
+* element at the start of an HTML document.
+* @param {Uint8Array} bytes The document.
+* @returns {string|null} The encoding name, or null if none is declared.
+*/
+function findMetaCharset(bytes) {
+  const head = String.fromCharCode.apply(null, bytes.subarray(0, META_CHARSET_PRESCAN_BYTES));
+  for (const [meta] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const label = meta.match(/\bcharset\s*=\s*["']?\s*([^\s"'>;/]+)/i)?.[1];
+    const charset = resolveCharset(label);
+    if (charset) {
+      // A document cannot declare itself UTF-16: it would not be readable as ASCII.
+      return charset.startsWith('utf-16') ? 'utf-8' : charset;
+    }
+  }
+  return null;
+}
+
+/**
+* Finds the charset declared by the `@charset` rule a stylesheet starts with.
+* @param {Uint8Array} bytes The stylesheet.
+* @returns {string|null} The encoding name, or null if none is declared.
+*/
+function findCssCharsetRule(bytes) {
+  const start = String.fromCharCode.apply(null, bytes.subarray(0, 1024));
+  const charset = resolveCharset(start.match(/^@charset "([^"]*)";/)?.[1]);
+  return charset?.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+/**
+* Decodes an HTML document. Without any declaration, it is read as UTF-8 if
+* it is valid UTF-8, and as Windows-1252 otherwise.
+* @param {Uint8Array} bytes The document.
+* @param {string|null} [declaredCharset] The charset of the MIME part or HTTP response.
+* @returns {{text: string, charset: string}} The text and the encoding it was decoded from.
+*/
+function decodeHtml(bytes, declaredCharset = null) {
+  const charset = findByteOrderMark(bytes) || resolveCharset(declaredCharset) || findMetaCharset(bytes);
+  if (charset) {
+    return { text: new TextDecoder(charset).decode(bytes), charset };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), charset: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), charset: 'windows-1252' };
+  }
+}
+
+/**
+* Decodes a stylesheet (CSS Syntax, "determine the fallback encoding"). The
+* `@charset` rule is removed, since the text is written out as UTF-8.
+* @param {ArrayBuffer|Uint8Array} data The stylesheet.
+* @param {string|null} contentType The Content-Type of the response, e.g. "text/css; charset=windows-1251".
+* @param {string} [fallbackCharset] The encoding of the document that loads it.
+* @returns {string}
+*/
+function decodeStylesheet(data, contentType, fallbackCharset = 'utf-8') {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const declaredCharset = contentType ? parseHeaderParams(contentType).params.charset : null;
+  const charset = findByteOrderMark(bytes) || resolveCharset(declaredCharset) || findCssCharsetRule(bytes) || fallbackCharset;
+  return new TextDecoder(charset).decode(bytes).replace(/^@charset "[^"]*";/, '');
+}
+
+/**
+* Labels a Content-Type as UTF-8, replacing the charset it had.
+* @param {string} contentType The Content-Type, e.g. "text/css; charset=iso-8859-1".
+* @returns {string}
+*/
+function withUtf8Charset(contentType) {
+  const { value } = parseHeaderParams(contentType);
+  return `${value}; charset="UTF-8"`;
+}
+
+/**
+* Replaces the charset declarations of a parsed document by `<meta charset="UTF-8">`,
+* the encoding it is written out in.
+* @param {Document} doc The document.
+*/
+function declareUtf8Charset(doc) {
+  doc.querySelectorAll('meta[charset], meta[http-equiv]').forEach(meta => {
+    if (meta.hasAttribute('charset') || meta.getAttribute('http-equiv').trim().toLowerCase() === 'content-type') {
+      meta.remove();
+    }
+  });
+  const charsetMeta = doc.createElement('meta');
+  charsetMeta.setAttribute('charset', 'UTF-8');
+  doc.head.prepend(charsetMeta);
+}
@@ -0,0 +1,371 @@
+// Export formats besides the .eml: a standalone HTML file, a PDF and a ZIP
+// bundle, for readers without a mail client and for document management
+// systems. All of them are rendered from the document `constructMHTMLEmail`
+// builds: the rewritten HTML, whose resources are referenced by cid: URLs,
+// and the resources themselves, shared with the parts of the .eml.
+
+/**
+* @typedef {object} PreservedResource
+* @property {string|null} contentId The Content-ID, without angle brackets.
+* @property {string|null} filename The original filename, if known.
+* @property {string} contentType The media type.
+* @property {string|null} url Where the resource was fetched from (the Content-Location of original parts).
+* @property {string} encoding The Content-Transfer-Encoding of `body`.
+* @property {string|Blob} body The transfer-encoded body, as in the preserved message.
+*/
+
+/**
+* @typedef {object} PreservedDocument
+* @property {string} html The rewritten HTML document.
+* @property {PreservedResource[]} resources The resources it refers to by cid: URL.
+* @property {object[]} report The entries of the preservation report.
+*/
+
+// Header fields shown above the message in the HTML and PDF exports, by
+// lowercase header name.
+const EXPORT_HEADER_FIELDS = [
+  ['from', 'From'],
+  ['to', 'To'],
+  ['cc', 'Cc'],
+  ['date', 'Date'],
+  ['subject', 'Subject']
+];
+
+// The standalone HTML carries everything as data: URIs, so it is not allowed
+// to load anything else or to run scripts.
+const STANDALONE_CONTENT_SECURITY_POLICY =
+  "default-src 'none'; img-src data:; media-src data:; font-src data:; style-src 'unsafe-inline' data:";
+// The HTML in the ZIP loads its resources from the files next to it.
+const ZIP_CONTENT_SECURITY_POLICY = "script-src 'none'; object-src 'none'";
+
+const ZIP_HTML_FILENAME = "message.html";
+const ZIP_METADATA_FILENAME = "metadata.json";
+const ZIP_RESOURCE_FOLDER = "resources";
+
+// How long the page for a PDF may take to load.
+const PDF_LOAD_TIMEOUT_MS = 30000;
+
+/**
+* Checks whether any format besides the .eml is enabled.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @returns {boolean}
+*/
+function hasExtraExports(settings) {
+  return settings.exportHtml || settings.exportPdf || settings.exportZip;
+}
+
+/**
+* Checks whether this version of Thunderbird can save PDFs (`tabs.saveAsPDF`).
+* @returns {boolean}
+*/
+function canSaveAsPdf() {
+  return typeof browser.tabs?.saveAsPDF === 'function';
+}
+
+/**
+* Saves the formats besides the .eml that are enabled in the settings. They
+* are saved into the download subfolder without asking, except the PDF, which
+* Thunderbird always asks for: it is left out of unattended runs, which would
+* show one dialog per message. A format that fails is reported, but does not
+* fail the preservation: the .eml is saved by then.
+* @param {PreservedDocument|null} preservedDocument The document to export.
+* @param {object} message The full Thunderbird message object.
+* @param {string} baseFilename The filename of the .eml, without extension.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @param {object} [options]
+* @param {boolean} [options.unattended=false] Whether the message is preserved in a batch or automatically.
+* @returns {Promise<string[]>} What was saved, for display.
+*/
+async function saveExtraExports(preservedDocument, message, baseFilename, settings, { unattended = false } = {}) {
+  if (!hasExtraExports(settings)) return [];
+  if (!preservedDocument) {
+    console.warn("The message has no body to render; only the .eml is saved.");
+    return [];
+  }
+
+  const folder = sanitizeDownloadPath(settings.downloadSubfolder);
+  const downloadPath = (extension) => folder ? `${folder}/${baseFilename}.${extension}` : `${baseFilename}.${extension}`;
+
+  // The HTML and the PDF share the standalone HTML.
+  let standaloneHtml = null;
+  const getStandaloneHtml = () => standaloneHtml ??= buildStandaloneHtml(preservedDocument, message);
+
+  const formats = [
+    ['exportHtml', 'HTML', async () => {
+      const html = await getStandaloneHtml();
+      await downloadBlob(new Blob([html], { type: 'text/html' }), downloadPath('html'), false);
+      return downloadPath('html');
+    }],
+    ['exportPdf', 'PDF', async () => {
+      if (unattended) return 'no PDF (only saved for single messages)';
+      const status = await saveHtmlAsPdf(await getStandaloneHtml(), `${baseFilename}.pdf`);
+      return status === 'saved' || status === 'replaced' ? `${baseFilename}.pdf` : `no PDF (${status})`;
+    }],
+    ['exportZip', 'ZIP', async () => {
+      await downloadBlob(await buildZipExport(preservedDocument, message), downloadPath('zip'), false);
+      return downloadPath('zip');
+    }]
+  ];
+
+  const saved = [];
+  for (const [setting, label, exportFormat] of formats) {
+    if (!settings[setting]) continue;
+    try {
+      console.log(`Exporting the message as ${label}...`);
+      saved.push(await exportFormat());
+    } catch (error) {
+      console.error(`Failed to export the message as ${label}:`, error);
+      saved.push(`no ${label} (${error.message || error})`);
+    }
+  }
+  return saved;
+}
+
+/**
+* Builds the standalone HTML export: the rewritten document with every
+* resource as a data: URI, and the main header fields above the message.
+* @param {PreservedDocument} preservedDocument The document to export.
+* @param {object} message The full Thunderbird message object.
+* @returns {Promise<string>} The HTML source.
+*/
+async function buildStandaloneHtml(preservedDocument, message) {
+  const urlsByContentId = new Map();
+  for (const resource of preservedDocument.resources) {
+    if (!resource.contentId) continue;
+    const base64 = resource.encoding.trim().toLowerCase() === 'base64'
+      ? (await readResourceBody(resource)).replace(/[^A-Za-z0-9+/=]/g, '')
+      : btoa(decodeTransferEncoding(await readResourceBody(resource), resource.encoding));
+    urlsByContentId.set(resource.contentId.toLowerCase(), `data:${resource.contentType};base64,${base64}`);
+  }
+  return renderExportHtml(preservedDocument, message, urlsByContentId, STANDALONE_CONTENT_SECURITY_POLICY);
+}
+
+/**
+* Builds the ZIP export: the HTML, every resource as a file with its original
+* name, and a JSON file with the message metadata and the preservation report.
+* @param {PreservedDocument} preservedDocument The document to export.
+* @param {object} message The full Thunderbird message object.
+* @returns {Promise<Blob>}
+*/
+async function buildZipExport(preservedDocument, message) {
+  const zip = createZipArchive();
+  const urlsByContentId = new Map();
+  const usedNames = new Set();
+  const resourceFiles = [];
+
+  for (const [index, resource] of preservedDocument.resources.entries()) {
+    const name = uniqueFilename(sanitizeZipFilename(resource.filename || '') || `resource-${index + 1}`, usedNames);
+    const bytes = binaryStringToBytes(decodeTransferEncoding(await readResourceBody(resource), resource.encoding));
+    addZipEntry(zip, `${ZIP_RESOURCE_FOLDER}/${name}`, bytes);
+
+    if (resource.contentId) {
+      urlsByContentId.set(resource.contentId.toLowerCase(), `${ZIP_RESOURCE_FOLDER}/${encodeZipPathSegment(name)}`);
+    }
+    resourceFiles.push({
+      file: `${ZIP_RESOURCE_FOLDER}/${name}`,
+      contentId: resource.contentId,
+      contentType: resource.contentType,
+      url: resource.url,
+      size: bytes.length
+    });
+  }
+
+  addZipEntry(zip, ZIP_HTML_FILENAME, renderExportHtml(preservedDocument, message, urlsByContentId, ZIP_CONTENT_SECURITY_POLICY));
+
+  const manifest = messenger.runtime.getManifest();
+  const metadata = {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    tool: { id: manifest.browser_specific_settings?.gecko?.id || 'unknown-tool', version: manifest.version || '0.0.0' },
+    message: {
+      messageId: message.headers?.['message-id']?.[0] || null,
+      from: message.headers?.from?.[0] || null,
+      to: message.headers?.to || [],
+      cc: message.headers?.cc || [],
+      date: message.headers?.date?.[0] || null,
+      subject: message.headers?.subject?.[0] || null
+    },
+    html: ZIP_HTML_FILENAME,
+    resources: resourceFiles,
+    report: preservedDocument.report
+  };
+  addZipEntry(zip, ZIP_METADATA_FILENAME, JSON.stringify(metadata, null, 2));
+
+  return finishZipArchive(zip);
+}
+
+/**
+* Renders the exported HTML: UTF-8, with a Content-Security-Policy, the main
+* header fields above the message and the cid: URLs replaced.
+* @param {PreservedDocument} preservedDocument The document to export.
+* @param {object} message The full Thunderbird message object.
+* @param {Map<string, string>} urlsByContentId The URL to use for each lowercase Content-ID.
+* @param {string} contentSecurityPolicy The policy of the exported page.
+* @returns {string} The HTML source.
+*/
+function renderExportHtml(preservedDocument, message, urlsByContentId, contentSecurityPolicy) {
+  const doc = new DOMParser().parseFromString(preservedDocument.html, "text/html");
+
+  // The page is written as UTF-8, whatever the message declared.
+  doc.querySelectorAll('meta[charset], meta[http-equiv]').forEach(meta => meta.remove());
+  const charsetMeta = doc.createElement('meta');
+  charsetMeta.setAttribute('charset', 'utf-8');
+  const policyMeta = doc.createElement('meta');
+  policyMeta.setAttribute('http-equiv', 'Content-Security-Policy');
+  policyMeta.setAttribute('content', contentSecurityPolicy);
+  doc.head.prepend(charsetMeta, policyMeta);
+
+  if (!doc.title && message.headers?.subject?.[0]) {
+    doc.title = message.headers.subject[0];
+  }
+  doc.body.prepend(buildExportHeaderBlock(doc, message));
+
+  const html = `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+  // The same cid: URLs findReferencedContentIds finds, in attributes and CSS
+  return html.replace(/cid:([^"'\s)>]+)/gi, (match, contentId) => {
+    try {
+      contentId = decodeURIComponent(contentId);
+    } catch (e) {
+      // Not percent-encoded after all
+    }
+    return urlsByContentId.get(contentId.toLowerCase()) ?? match;
+  });
+}
+
+/**
+* Builds the block with the main header fields that is shown above the message.
+* @param {Document} doc The document the block is for.
+* @param {object} message The full Thunderbird message object.
+* @returns {Element}
+*/
+function buildExportHeaderBlock(doc, message) {
+  const block = doc.createElement('div');
+  block.setAttribute('data-preservation-headers', '');
+  block.setAttribute('style', 'margin: 0 0 1em; padding: 0 0 0.5em; border-bottom: 1px solid #ccc; font: 13px sans-serif; color: #000; background: #fff;');
+
+  const table = doc.createElement('table');
+  for (const [name, label] of EXPORT_HEADER_FIELDS) {
+    const values = message.headers?.[name];
+    if (!values || values.length === 0) continue;
+
+    const row = table.insertRow();
+    const nameCell = doc.createElement('th');
+    nameCell.setAttribute('style', 'text-align: right; vertical-align: top; padding: 0 0.5em 0 0;');
+    nameCell.textContent = `${label}:`;
+    const valueCell = doc.createElement('td');
+    valueCell.textContent = values.join(', ');
+    row.append(nameCell, valueCell);
+  }
+  block.append(table);
+  return block;
+}
+
+/**
+* Opens the HTML in a temporary tab and saves it as PDF. `tabs.saveAsPDF`
+* always prints the active tab, so the tab cannot stay in the background; it
+* is closed again as soon as the PDF is saved.
+* @param {string} html The standalone HTML.
+* @param {string} filename The suggested filename of the PDF.
+* @returns {Promise<string>} The status from `tabs.saveAsPDF`: "saved", "replaced", "canceled", "not_saved" or "not_replaced".
+*/
+async function saveHtmlAsPdf(html, filename) {
+  if (!canSaveAsPdf()) {
+    throw new Error("This version of Thunderbird cannot save PDFs");
+  }
+
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  let tab = null;
+  try {
+    tab = await browser.tabs.create({ url, active: true });
+    await waitForTabLoaded(tab.id, PDF_LOAD_TIMEOUT_MS);
+    return await browser.tabs.saveAsPDF({
+      toFileName: filename,
+      showBackgroundColors: true,
+      showBackgroundImages: true,
+      // No page title, URL or date on the pages: the header block has the details.
+      headerLeft: '',
+      headerCenter: '',
+      headerRight: '',
+      footerLeft: '',
+      footerCenter: '',
+      footerRight: ''
+    });
+  } finally {
+    if (tab) {
+      await browser.tabs.remove(tab.id).catch(error => console.warn("Could not close the PDF tab:", error));
+    }
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+* Waits until a tab has finished loading.
+* @param {number} tabId The id of the tab.
+* @param {number} timeout How long to wait, in milliseconds.
+* @returns {Promise<void>} Rejects when the tab does not finish loading in time.
+*/
+function waitForTabLoaded(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      browser.tabs.onUpdated.removeListener(listener);
+      if (error) reject(error); else resolve();
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') finish();
+    };
+    const timer = setTimeout(() => finish(new Error("The page for the PDF did not load in time")), timeout);
+
+    browser.tabs.onUpdated.addListener(listener);
+    // The tab may have finished loading before the listener was added.
+    browser.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete' && tab.url !== 'about:blank') finish();
+    }, finish);
+  });
+}
+
+/**
+* Reads the transfer-encoded body of a resource.
+* @param {PreservedResource} resource The resource.
+* @returns {Promise<string>} The body as a binary string.
+*/
+async function readResourceBody(resource) {
+  // Blob bodies are Base64 text, so reading them as UTF-8 is lossless.
+  return typeof resource.body === 'string' ? resource.body : resource.body.text();
+}
+
+/**
+* Makes a filename safe to use inside a ZIP archive on every platform.
+* @param {string} name The original filename.
+* @returns {string} The sanitized name, or '' if nothing is left of it.
+*/
+function sanitizeZipFilename(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^[.\s]+|[.\s]+$/g, '').slice(0, 200);
+}
+
+/**
+* Makes a filename unique among the ones already used, by adding a number
+* before the extension: "logo.png", "logo-2.png", ...
+* @param {string} name The filename.
+* @param {Set<string>} usedNames The lowercase names in use; the returned name is added.
+* @returns {string}
+*/
+function uniqueFilename(name, usedNames) {
+  const [, stem, extension] = name.match(/^(.*?)((?:\.[^.]*)?)$/);
+  let unique = name;
+  for (let counter = 2; usedNames.has(unique.toLowerCase()); counter++) {
+    unique = `${stem}-${counter}${extension}`;
+  }
+  usedNames.add(unique.toLowerCase());
+  return unique;
+}
+
+/**
+* Percent-encodes a filename for use in a relative URL, including the
+* characters that would end a CSS url() or an attribute value.
+* @param {string} name The filename.
+* @returns {string}
+*/
+function encodeZipPathSegment(name) {
+  return encodeURIComponent(name).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
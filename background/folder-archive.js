@@ -0,0 +1,373 @@
+// Archiving a whole folder into a single file: an mbox, or a ZIP of .eml
+// files, together with an index of every message as CSV and JSON.
+//
+// Every message is preserved like a single one, and staged in IndexedDB as
+// soon as it is done. An archive that is interrupted (cancelled, or
+// Thunderbird was closed) continues where it stopped when it is started again
+// for the same folder and format. The archive itself is only written once
+// every message is done; the staged messages are dropped afterwards.
+
+const FOLDER_ARCHIVE_DB_NAME = "folder-archives";
+const FOLDER_ARCHIVE_STORE = "messages";
+
+// storage.local key of the unfinished archives, by archive key:
+// {folder, format, baseFilename, startedAt}
+const FOLDER_ARCHIVE_PROGRESS_KEY = "folderArchiveProgress";
+
+// Columns of the CSV index, in order; the JSON index has the same fields.
+const FOLDER_ARCHIVE_INDEX_COLUMNS = [
+  'status', 'messageId', 'date', 'sender', 'subject', 'archive', 'filename',
+  'resources', 'embedded', 'failed', 'skipped', 'blocked', 'error'
+];
+
+/**
+* @typedef {object} FolderArchiveEntry
+* @property {'preserved'|'failed'} status Whether the message could be preserved.
+* @property {string|null} messageId The Message-ID header.
+* @property {string|null} date When the message was sent (ISO 8601).
+* @property {string} sender The author of the message.
+* @property {string} subject The subject of the message.
+* @property {string} archive The archive file the message is in.
+* @property {string} filename The .eml file inside the ZIP, or the mbox file.
+* @property {number} resources How many remote resources the message has.
+* @property {number} embedded How many of them were embedded.
+* @property {number} failed How many could not be fetched.
+* @property {number} skipped How many were skipped.
+* @property {number} blocked How many were blocked as trackers.
+* @property {string} error Why the message could not be preserved, or ''.
+*/
+
+/**
+* Preserves every message of a folder into one archive. Only one batch or
+* archive runs at a time, and it can be cancelled like a batch; starting it
+* again later resumes it.
+* @param {browser.folders.MailFolder} folder The folder to archive.
+* @param {'mbox'|'zip'} format The archive format.
+*/
+async function archiveFolder(folder, format) {
+  if (activeBatch) {
+      notify("Preservation Running", "Another preservation is still running. Wait for it to finish or cancel it first.");
+      return;
+  }
+  const batch = { cancelled: false };
+  activeBatch = batch;
+
+  let db = null;
+  try {
+      const settings = await getSettings();
+      const messages = await collectMessageList(await messenger.messages.list(folder));
+      if (messages.length === 0) {
+          notify("Folder Archive", `"${folder.name || folder.path}" has no messages to archive.`);
+          return;
+      }
+      const archiveKey = `${folder.accountId}:${folder.path}:${format}`;
+      const progress = await startFolderArchiveProgress(archiveKey, folder, format);
+      const archiveFilename = `${progress.baseFilename}.${format}`;
+
+      db = await openFolderArchiveDatabase();
+      const staged = new Map((await listStagedMessages(db, archiveKey)).map(record => [record.messageKey, record]));
+      let nextSequence = Math.max(-1, ...[...staged.values()].map(record => record.sequence)) + 1;
+      const usedNames = new Set([...staged.values()].filter(record => record.blob).map(record => record.entry.filename.toLowerCase()));
+
+      const doneCount = [...staged.values()].filter(record => record.entry.status === 'preserved').length;
+      if (doneCount > 0) {
+          console.log(`Resuming the archive of ${folder.path}: ${doneCount} message(s) are done already.`);
+      }
+
+      // How often each Message-ID occurred so far, to tell copies apart.
+      const seenMessageIds = new Map();
+      for (const [index, message] of messages.entries()) {
+          if (batch.cancelled) break;
+
+          // Failed messages are tried again when the archive is resumed.
+          const messageKey = getArchiveMessageKey(message, seenMessageIds);
+          const previous = staged.get(messageKey);
+          if (previous?.entry.status === 'preserved') continue;
+
+          notify(
+              "Archiving Folder",
+              `Archiving ${index + 1} of ${messages.length}: ${message.subject || 'No Subject'}\nClick to cancel.`,
+              BATCH_PROGRESS_NOTIFICATION
+          );
+
+          const { entry, blob, crc, ledgerEntry } = await archiveMessage(message, settings, format, archiveFilename, usedNames);
+          await stageArchivedMessage(db, {
+              archiveKey,
+              messageKey,
+              sequence: previous ? previous.sequence : nextSequence++,
+              blob,
+              crc,
+              entry,
+              ledgerEntry
+          });
+      }
+
+      if (batch.cancelled) {
+          notify("Folder Archive Paused", `Archive the folder as ${format} again to continue where it stopped.`);
+          return;
+      }
+
+      const records = await listStagedMessages(db, archiveKey);
+      const entries = records.map(record => record.entry);
+      await saveFolderArchive(records, progress, folder, format, archiveFilename, settings);
+
+      // Folder archives are recorded in the ledger, but never skip a message
+      // that was preserved before: an archive has every message of the folder.
+      await appendLedgerEntries(records.map(record => record.ledgerEntry).filter(Boolean));
+      await clearStagedMessages(db, archiveKey);
+      await finishFolderArchiveProgress(archiveKey);
+
+      const failedCount = entries.filter(entry => entry.status === 'failed').length;
+      notify(
+          failedCount > 0 ? "Folder Archive Finished With Errors" : "Folder Archive Complete",
+          `${entries.length - failedCount} of ${entries.length} messages archived as ${archiveFilename}.` +
+          (failedCount > 0 ? ` ${failedCount} failed; see the index for details.` : '')
+      );
+  } catch (error) {
+      console.error(`Failed to archive folder ${folder.path}:`, error);
+      notify("Folder Archive Failed", `Could not archive the folder: ${error.message || error}. Start it again to resume.`);
+  } finally {
+      db?.close();
+      activeBatch = null;
+      await browser.notifications.clear(BATCH_PROGRESS_NOTIFICATION);
+  }
+}
+
+/**
+* Preserves one message for an archive.
+* @param {browser.messages.MessageHeader} message The message.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @param {'mbox'|'zip'} format The archive format.
+* @param {string} archiveFilename The name of the archive file.
+* @param {Set<string>} usedNames The lowercase .eml names already in the ZIP.
+* @returns {Promise<{entry: FolderArchiveEntry, blob: Blob|null, crc: number|null, ledgerEntry: LedgerEntry|null}>}
+*   The index entry, and unless it failed, the preserved message (an mbox entry, or an .eml with its CRC-32
+*   for the ZIP) and its entry for the preservation ledger.
+*/
+async function archiveMessage(message, settings, format, archiveFilename, usedNames) {
+  const entry = {
+    status: 'failed',
+    messageId: message.headerMessageId || null,
+    date: message.date ? new Date(message.date).toISOString() : null,
+    sender: message.author || '',
+    subject: message.subject || '',
+    archive: archiveFilename,
+    filename: '',
+    resources: 0,
+    embedded: 0,
+    failed: 0,
+    skipped: 0,
+    blocked: 0,
+    error: ''
+  };
+  let blob = null;
+  let crc = null;
+  let ledgerEntry = null;
+
+  try {
+    const rawMessage = await messenger.messages.getRaw(message.id);
+    const { filename, eml, preservedDocument } = await buildPreservedMessage(message, rawMessage, settings);
+    const summary = summarizeResourceReport(preservedDocument?.report || []);
+
+    if (format === 'mbox') {
+      blob = mimeChunksToBlob(formatMboxMessage(eml, message), 'application/mbox');
+      entry.filename = archiveFilename;
+    } else {
+      blob = mimeChunksToBlob(eml, 'message/rfc822');
+      crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+      entry.filename = uniqueFilename(filename, usedNames);
+    }
+    Object.assign(entry, summary, { status: 'preserved' });
+
+    const contentDigest = await computeContentDigest(rawMessage);
+    ledgerEntry = createLedgerEntry(message, contentDigest,
+      format === 'mbox' ? archiveFilename : `${archiveFilename} (${entry.filename})`);
+  } catch (error) {
+    console.error(`Failed to archive message ${message.id}:`, error);
+    entry.error = error.message || String(error);
+  }
+  return { entry, blob, crc, ledgerEntry };
+}
+
+/**
+* Writes the finished archive and its index into the download subfolder.
+* @param {object[]} records The staged messages, in archive order.
+* @param {{baseFilename: string, startedAt: string}} progress The progress record of the archive.
+* @param {browser.folders.MailFolder} folder The archived folder.
+* @param {'mbox'|'zip'} format The archive format.
+* @param {string} archiveFilename The name of the archive file.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+*/
+async function saveFolderArchive(records, progress, folder, format, archiveFilename, settings) {
+  const subfolder = sanitizeDownloadPath(settings.downloadSubfolder);
+  const downloadPath = (name) => subfolder ? `${subfolder}/${name}` : name;
+  const archived = records.filter(record => record.blob);
+
+  let archive;
+  if (format === 'mbox') {
+    archive = new Blob(archived.map(record => record.blob), { type: 'application/mbox' });
+  } else {
+    const zip = createZipArchive();
+    for (const record of archived) {
+      const date = record.entry.date ? new Date(record.entry.date) : new Date();
+      addZipBlobEntry(zip, record.entry.filename, record.blob, record.crc, date);
+    }
+    archive = finishZipArchive(zip);
+  }
+  console.log(`Saving the archive of ${folder.path} (${archived.length} messages, ${archive.size} bytes)...`);
+  await downloadBlob(archive, downloadPath(archiveFilename), false);
+
+  const entries = records.map(record => record.entry);
+  const csv = [FOLDER_ARCHIVE_INDEX_COLUMNS, ...entries.map(entry => FOLDER_ARCHIVE_INDEX_COLUMNS.map(column => entry[column]))]
+    .map(row => row.map(formatCsvField).join(','))
+    .join('\r\n') + '\r\n';
+  await downloadBlob(new Blob([csv], { type: 'text/csv' }), downloadPath(`${progress.baseFilename}_index.csv`), false);
+
+  const index = {
+    version: 1,
+    folder: { accountId: folder.accountId, path: folder.path, name: folder.name },
+    format,
+    archive: archiveFilename,
+    startedAt: progress.startedAt,
+    finishedAt: new Date().toISOString(),
+    messages: entries
+  };
+  await downloadBlob(new Blob([JSON.stringify(index, null, 2)], { type: 'application/json' }),
+    downloadPath(`${progress.baseFilename}_index.json`), false);
+}
+
+/**
+* Formats a message as an mbox entry: a "From " line, the message with its
+* "From " lines quoted (mboxrd), and an empty line.
+* @param {MimeChunks} eml The preserved message.
+* @param {browser.messages.MessageHeader} message The original message.
+* @returns {MimeChunks}
+*/
+function formatMboxMessage(eml, message) {
+  let atLineStart = true;
+  const quoted = eml.map(chunk => {
+    // Blobs hold Base64 text, which never contains "From ".
+    if (typeof chunk !== 'string') {
+      atLineStart = false;
+      return chunk;
+    }
+    let text = chunk.replace(/\n(>*From )/g, '\n>$1');
+    if (atLineStart && /^>*From /.test(text)) text = `>${text}`;
+    if (chunk.length > 0) atLineStart = chunk.endsWith('\n');
+    return text;
+  });
+
+  return [formatMboxFromLine(message), ...quoted, atLineStart ? CRLF : CRLF + CRLF];
+}
+
+/**
+* Formats the "From " line that starts an mbox entry.
+* @param {browser.messages.MessageHeader} message The original message.
+* @returns {string} The line, terminated by CRLF.
+*/
+function formatMboxFromLine(message) {
+  const address = (message.author || '').match(/<([^<>\s]+)>/)?.[1] || (message.author || '').trim();
+  const sender = address && !/\s/.test(address) ? address : 'MAILER-DAEMON';
+  // asctime() format, in UTC: "Mon Jan  1 00:00:00 2024"
+  const date = message.date ? new Date(message.date) : new Date();
+  const [, weekday, day, month, year, time] = date.toUTCString().match(/^(\w+), (\d+) (\w+) (\d+) (\S+)/);
+  return `From ${sender} ${weekday} ${month} ${String(Number(day)).padStart(2, ' ')} ${time} ${year}${CRLF}`;
+}
+
+/**
+* Returns the key that identifies a message of a folder across sessions
+* (message ids are only valid until Thunderbird is closed): its Message-ID,
+* and how many messages before it in the folder have the same one. Copies of
+* a message, and messages without a Message-ID, get keys of their own.
+* @param {browser.messages.MessageHeader} message The message.
+* @param {Map<string, number>} seenMessageIds How often each Message-ID occurred so far in the folder; updated.
+* @returns {string}
+*/
+function getArchiveMessageKey(message, seenMessageIds) {
+  const messageId = message.headerMessageId || `${new Date(message.date).getTime()}|${message.author}|${message.subject}`;
+  const occurrence = seenMessageIds.get(messageId) || 0;
+  seenMessageIds.set(messageId, occurrence + 1);
+  return `${messageId}#${occurrence}`;
+}
+
+/**
+* Returns the progress record of an archive, creating it when the archive starts.
+* @param {string} archiveKey The key of the archive.
+* @param {browser.folders.MailFolder} folder The archived folder.
+* @param {'mbox'|'zip'} format The archive format.
+* @returns {Promise<{folder: object, format: string, baseFilename: string, startedAt: string}>}
+*/
+async function startFolderArchiveProgress(archiveKey, folder, format) {
+  const { [FOLDER_ARCHIVE_PROGRESS_KEY]: allProgress = {} } = await browser.storage.local.get(FOLDER_ARCHIVE_PROGRESS_KEY);
+  if (!allProgress[archiveKey]) {
+    const startedAt = new Date().toISOString();
+    allProgress[archiveKey] = {
+      folder: { accountId: folder.accountId, path: folder.path, name: folder.name },
+      format,
+      baseFilename: `${sanitizeFilenameToken(folder.name || 'Folder')}_${startedAt.slice(0, 19).replace(/[:-]/g, '')}`,
+      startedAt
+    };
+    await browser.storage.local.set({ [FOLDER_ARCHIVE_PROGRESS_KEY]: allProgress });
+  }
+  return allProgress[archiveKey];
+}
+
+/**
+* Forgets the progress record of a finished archive.
+* @param {string} archiveKey The key of the archive.
+*/
+async function finishFolderArchiveProgress(archiveKey) {
+  const { [FOLDER_ARCHIVE_PROGRESS_KEY]: allProgress = {} } = await browser.storage.local.get(FOLDER_ARCHIVE_PROGRESS_KEY);
+  delete allProgress[archiveKey];
+  await browser.storage.local.set({ [FOLDER_ARCHIVE_PROGRESS_KEY]: allProgress });
+}
+
+/**
+* Opens the database the preserved messages of unfinished archives are staged in.
+* @returns {Promise<IDBDatabase>}
+*/
+function openFolderArchiveDatabase() {
+  const request = indexedDB.open(FOLDER_ARCHIVE_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(FOLDER_ARCHIVE_STORE, { keyPath: ['archiveKey', 'messageKey'] });
+    store.createIndex('archiveKey', 'archiveKey');
+  };
+  return promisifyRequest(request);
+}
+
+/**
+* Stores a preserved message of an archive, replacing an earlier attempt.
+* @param {IDBDatabase} db The database.
+* @param {object} record {archiveKey, messageKey, sequence, blob, crc, entry, ledgerEntry}
+* @returns {Promise<void>}
+*/
+async function stageArchivedMessage(db, record) {
+  const transaction = db.transaction(FOLDER_ARCHIVE_STORE, 'readwrite');
+  transaction.objectStore(FOLDER_ARCHIVE_STORE).put(record);
+  await promisifyTransaction(transaction);
+}
+
+/**
+* Lists the staged messages of an archive, in archive order.
+* @param {IDBDatabase} db The database.
+* @param {string} archiveKey The key of the archive.
+* @returns {Promise<object[]>}
+*/
+async function listStagedMessages(db, archiveKey) {
+  const index = db.transaction(FOLDER_ARCHIVE_STORE).objectStore(FOLDER_ARCHIVE_STORE).index('archiveKey');
+  const records = await promisifyRequest(index.getAll(archiveKey));
+  return records.sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+* Deletes the staged messages of an archive.
+* @param {IDBDatabase} db The database.
+* @param {string} archiveKey The key of the archive.
+* @returns {Promise<void>}
+*/
+async function clearStagedMessages(db, archiveKey) {
+  const transaction = db.transaction(FOLDER_ARCHIVE_STORE, 'readwrite');
+  const store = transaction.objectStore(FOLDER_ARCHIVE_STORE);
+  store.delete(IDBKeyRange.bound([archiveKey], [archiveKey, []]));
+  await promisifyTransaction(transaction);
+}
@@ -0,0 +1,104 @@
+// Saving preserved messages into a Thunderbird folder instead of (or next to)
+// downloading them, and marking or replacing the original afterwards.
+
+// Name of the folder in Local Folders that is used when no folder is chosen.
+const DEFAULT_IMPORT_FOLDER_NAME = "Archive (Preserved)";
+
+// Tag added to original messages once they have been preserved.
+const PRESERVED_TAG = { key: "preserved", tag: "Preserved", color: "#2E7D32" };
+
+/**
+* Returns the folder preserved messages are imported into, creating the
+* default "Archive (Preserved)" folder in Local Folders if needed.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @returns {Promise<browser.folders.MailFolder>}
+*/
+async function getImportFolder(settings) {
+  if (settings.importFolder) {
+    return settings.importFolder;
+  }
+
+  const accounts = await messenger.accounts.list();
+  const localFolders = accounts.find(account => account.type === 'none');
+  if (!localFolders) {
+    throw new Error("No import folder is set and there is no Local Folders account.");
+  }
+
+  const existing = localFolders.folders.find(folder => folder.name === DEFAULT_IMPORT_FOLDER_NAME);
+  if (existing) return existing;
+
+  console.log(`Creating folder "${DEFAULT_IMPORT_FOLDER_NAME}" in Local Folders...`);
+  return messenger.folders.create(localFolders, DEFAULT_IMPORT_FOLDER_NAME);
+}
+
+/**
+* Imports a preserved message into a Thunderbird folder. The read, flagged
+* and tag state of the original message is carried over.
+* @param {Blob} blob The preserved message.
+* @param {string} filename The filename of the preserved message.
+* @param {browser.messages.MessageHeader} originalMessage The message that was preserved.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @returns {Promise<browser.folders.MailFolder>} The folder the message was imported into.
+*/
+async function importIntoFolder(blob, filename, originalMessage, settings) {
+  const folder = await getImportFolder(settings);
+  const file = new File([blob], filename, { type: 'message/rfc822' });
+
+  try {
+    await messenger.messages.import(file, folder, {
+      flagged: originalMessage.flagged,
+      read: originalMessage.read,
+      tags: originalMessage.tags
+    });
+  } catch (error) {
+    console.error(`Failed to import the preserved email into ${folder.path}:`, error);
+    throw new Error(`Could not import the preserved email into "${folder.name || folder.path}".`);
+  }
+
+  console.log(`Imported preserved email into folder: ${folder.path}`);
+  return folder;
+}
+
+/**
+* Makes sure the "Preserved" tag exists.
+* @returns {Promise<string>} The tag key.
+*/
+async function ensurePreservedTag() {
+  const tags = await messenger.messages.listTags();
+  if (!tags.some(tag => tag.key === PRESERVED_TAG.key)) {
+    await messenger.messages.createTag(PRESERVED_TAG.key, PRESERVED_TAG.tag, PRESERVED_TAG.color);
+  }
+  return PRESERVED_TAG.key;
+}
+
+/**
+* Applies the configured action to the original message once it has been
+* preserved: keep it as it is, tag it as preserved, or replace it by moving
+* it to the trash. Replacing is only done when the preserved copy was imported
+* into a folder, so the message never leaves Thunderbird.
+* @param {browser.messages.MessageHeader} originalMessage The message that was preserved.
+* @param {typeof DEFAULT_SETTINGS} settings The current settings.
+* @param {boolean} imported Whether the preserved copy was imported into a folder.
+*/
+async function applyOriginalMessageAction(originalMessage, settings, imported) {
+  switch (settings.originalMessageAction) {
+    case 'tag': {
+      const tagKey = await ensurePreservedTag();
+      if (!originalMessage.tags.includes(tagKey)) {
+        await messenger.messages.update(originalMessage.id, { tags: [...originalMessage.tags, tagKey] });
+      }
+      console.log(`Tagged original message ${originalMessage.id} as preserved.`);
+      break;
+    }
+    case 'replace':
+      if (!imported) {
+        console.warn("Not replacing the original message: the preserved copy was only downloaded.");
+        break;
+      }
+      await messenger.messages.delete([originalMessage.id], false);
+      console.log(`Moved original message ${originalMessage.id} to the trash.`);
+      break;
+    default:
+      break;
+  }
+}
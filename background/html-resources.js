@@ -0,0 +1,70 @@
+// Resources referenced by the HTML of a message.
+// This file is loaded by both the background page and the preservation viewer.
+
+// Elements and attributes that load resources needed to render the message.
+// Hyperlinks (a[href]) are deliberately not included: we only embed what the
+// message displays, not the pages it links to.
+const RESOURCE_ATTRIBUTES = [
+  { selector: 'img[src], input[type="image" i][src]', attribute: 'src' },
+  { selector: 'img[srcset], picture > source[srcset]', attribute: 'srcset', isSrcset: true },
+  { selector: '[background]', attribute: 'background' },
+  { selector: 'video[poster]', attribute: 'poster' },
+  { selector: 'link[rel~="stylesheet" i][href]', attribute: 'href' },
+  { selector: 'svg image[href]', attribute: 'href' },
+  { selector: 'svg image', attribute: 'xlink:href' }
+];
+
+/**
+* Finds every attribute in the document that loads a remote resource.
+* CSS (`<style>` elements and `style` attributes) is not included here; its
+* url()s are handled by the CSS processing.
+* @param {Document} doc The parsed HTML document.
+* @returns {{element: Element, attribute: string, isSrcset: boolean}[]} The resource references.
+*/
+function discoverResourceReferences(doc) {
+  const references = [];
+  for (const { selector, attribute, isSrcset = false } of RESOURCE_ATTRIBUTES) {
+    for (const element of doc.querySelectorAll(selector)) {
+      if (element.hasAttribute(attribute)) {
+        references.push({ element, attribute, isSrcset });
+      }
+    }
+  }
+  return references;
+}
+
+/**
+* Splits a srcset attribute into its image candidates.
+* Follows the HTML parsing rules: a URL is a run of non-whitespace, and a
+* comma only separates candidates when it ends the URL or the descriptors.
+* @param {string} srcset The srcset attribute value.
+* @returns {{url: string, descriptor: string}[]} The candidates, e.g. `{url: "a.png", descriptor: "2x"}`.
+*/
+function parseSrcset(srcset) {
+  const candidates = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    // Skip whitespace and stray commas in front of the URL.
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    if (position >= srcset.length) break;
+
+    let urlEnd = position;
+    while (urlEnd < srcset.length && !/\s/.test(srcset[urlEnd])) urlEnd++;
+    let url = srcset.substring(position, urlEnd);
+    position = urlEnd;
+
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const descriptorEnd = srcset.indexOf(',', position);
+      const end = descriptorEnd === -1 ? srcset.length : descriptorEnd;
+      descriptor = srcset.substring(position, end).trim();
+      position = end + 1;
+    }
+
+    if (url) candidates.push({ url, descriptor });
+  }
+  return candidates;
+}
@@ -0,0 +1,28 @@
+// Promise wrappers for IndexedDB requests and transactions, shared by the
+// preservation ledger and the staging of folder archives.
+// This file is loaded by both the background page and the options page.
+
+/**
+* Waits for an IndexedDB request.
+* @param {IDBRequest} request The request.
+* @returns {Promise<*>} The result of the request.
+*/
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+* Waits for an IndexedDB transaction to be committed.
+* @param {IDBTransaction} transaction The transaction.
+* @returns {Promise<void>}
+*/
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("The transaction was aborted"));
+  });
+}
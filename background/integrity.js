@@ -0,0 +1,253 @@
+// Tamper evidence for preserved messages.
+//
+// Every preserved message gets an X-Preservation-Manifest header with SHA-256
+// digests of the original raw message, of the preserved headers and of every
+// part of the preserved message. The manifest is signed with an ECDSA key pair
+// that is generated once and kept in storage.local; the signature and the
+// public key go into an X-Preservation-Signature header.
+//
+// Digests are taken over a canonical form that survives being stored by a
+// mail client: line endings are normalized to CRLF and trailing empty lines
+// are ignored. Headers that mail stores add or change on their own (e.g.
+// X-Mozilla-Status) are left out of the header digest.
+
+// storage.local key of the signing key pair (JWK)
+const SIGNING_KEY_STORAGE_KEY = "signingKeyPair";
+const SIGNING_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGNATURE_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+
+const MANIFEST_HEADER = "x-preservation-manifest";
+const SIGNATURE_HEADER = "x-preservation-signature";
+
+// Headers that are not covered by the header digest.
+const UNSIGNED_HEADER_PATTERN = /^(x-mozilla-.*|x-account-key|x-uidl|status|x-status|x-keywords|x-identity-key|x-preservation-manifest|x-preservation-signature)$/;
+
+/**
+* Normalizes text before hashing: CRLF line endings, no trailing empty lines.
+* @param {string} text The text as a binary string.
+* @returns {Uint8Array} The canonical bytes.
+*/
+function canonicalizeForDigest(text) {
+  return binaryStringToBytes(text.replace(/\r?\n/g, '\r\n').replace(/(\r\n)+$/, ''));
+}
+
+/**
+* Computes the digest of a part of a message that is still in chunks (see
+* `joinChunksForParsing`). Only this part's Blobs are read into memory.
+* @param {string} text The raw part, with placeholders for its Blobs.
+* @param {{placeholder: RegExp, blobs: Blob[]}} chunked How the placeholders map to Blobs.
+* @returns {Promise<string>} The digest of the canonical form, as lowercase hex.
+*/
+async function digestChunkedText(text, { placeholder, blobs }) {
+  // Splitting at a capturing pattern puts the Blob indices at the odd positions.
+  const pieces = text.split(placeholder);
+  if (pieces.length === 1) {
+    return sha256Hex(canonicalizeForDigest(text));
+  }
+
+  // Blobs hold Base64 lines and never start or end with a line break, so the
+  // text around them can be canonicalized on its own.
+  const last = pieces.length - 1;
+  const canonical = pieces.map((piece, index) => {
+    if (index % 2 === 1) return blobs[Number(piece)];
+    const normalized = piece.replace(/\r?\n/g, '\r\n');
+    return binaryStringToBytes(index === last ? normalized.replace(/(\r\n)+$/, '') : normalized);
+  });
+  return sha256Hex(await new Blob(canonical).arrayBuffer());
+}
+
+/**
+* Joins the chunks of a message into a string that can be parsed, with a
+* placeholder in place of every Blob.
+* @param {MimeChunks} chunks The message.
+* @returns {{text: string, placeholder: RegExp, blobs: Blob[]}}
+*/
+function joinChunksForParsing(chunks) {
+  // A random marker cannot clash with anything the message contains.
+  const marker = `\0${crypto.randomUUID()}:`;
+  const blobs = [];
+  const text = chunks.map(chunk => {
+    if (typeof chunk === 'string') return chunk;
+    blobs.push(chunk);
+    return `${marker}${blobs.length - 1}\0`;
+  }).join('');
+  return { text, placeholder: new RegExp(`${marker}(\\d+)\0`), blobs };
+}
+
+/**
+* Computes the digests of a preserved message.
+* @param {string|MimeChunks} eml The preserved message as a binary string, or in chunks as it is written.
+* @returns {Promise<{headers: string, parts: Map<string, string>}>} The header digest and the digest of every leaf part, by part name.
+*/
+async function computePreservationDigests(eml) {
+  const chunked = joinChunksForParsing([].concat(eml));
+  const root = parseRawMessage(chunked.text);
+  const signedHeaders = filterRawHeaderFields(root.headerBlock, name => !UNSIGNED_HEADER_PATTERN.test(name));
+  const headers = await sha256Hex(canonicalizeForDigest(signedHeaders));
+
+  const parts = new Map();
+  if (root.parts.length === 0) {
+    // Single-part message: the body is the only part.
+    parts.set(root.partName, await digestChunkedText(root.body, chunked));
+  } else {
+    for (const part of listRawLeafParts(root)) {
+      parts.set(part.partName, await digestChunkedText(part.raw, chunked));
+    }
+  }
+  return { headers, parts };
+}
+
+/**
+* Computes the digest that identifies the content of an original message in
+* the preservation ledger. Unlike the `Original` digest of the manifest, it
+* leaves out the headers that mail stores change on their own (such as the
+* read flag in X-Mozilla-Status), so it only changes when the message does.
+* @param {string} rawMessage The raw message as a binary string.
+* @returns {Promise<string>} The digest, as lowercase hex.
+*/
+async function computeContentDigest(rawMessage) {
+  const { headerBlock, body } = splitHeaderAndBody(rawMessage);
+  const headers = filterRawHeaderFields(headerBlock, name => !UNSIGNED_HEADER_PATTERN.test(name));
+  return sha256Hex(canonicalizeForDigest(`${headers}\n${body}`));
+}
+
+/**
+* Returns the signing key pair, generating and storing it on first use.
+* @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey, publicKeyBase64: string}>}
+*/
+async function getSigningKeyPair() {
+  let { [SIGNING_KEY_STORAGE_KEY]: stored } = await browser.storage.local.get(SIGNING_KEY_STORAGE_KEY);
+
+  if (!stored) {
+    console.log("Generating the signing key pair for preserved messages...");
+    const keyPair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, true, ["sign", "verify"]);
+    stored = {
+      privateKey: await crypto.subtle.exportKey("jwk", keyPair.privateKey),
+      publicKey: await crypto.subtle.exportKey("jwk", keyPair.publicKey)
+    };
+    await browser.storage.local.set({ [SIGNING_KEY_STORAGE_KEY]: stored });
+  }
+
+  const privateKey = await crypto.subtle.importKey("jwk", stored.privateKey, SIGNING_ALGORITHM, false, ["sign"]);
+  const publicKey = await crypto.subtle.importKey("jwk", stored.publicKey, SIGNING_ALGORITHM, true, ["verify"]);
+  const publicKeyBase64 = encodeArrayBufferAsBase64(await crypto.subtle.exportKey("spki", publicKey));
+  return { privateKey, publicKey, publicKeyBase64 };
+}
+
+/**
+* Adds the signed manifest headers to a preserved message.
+* @param {MimeChunks} eml The preserved message.
+* @param {string} rawMessage The original raw message as a binary string.
+* @returns {Promise<MimeChunks>} The preserved message with the manifest and signature headers in front.
+*/
+async function sealPreservedMessage(eml, rawMessage) {
+  console.log('Computing the preservation manifest...');
+  const digests = await computePreservationDigests(eml);
+
+  const fields = [
+    `Version="1"`,
+    `Algorithm="SHA-256"`,
+    `Original="${await sha256Hex(binaryStringToBytes(rawMessage))}"`,
+    `Headers="${digests.headers}"`,
+    ...[...digests.parts].map(([partName, digest]) => `Part-${partName}="${digest}"`)
+  ];
+  // The signature covers the unfolded header value.
+  const manifestValue = fields.join('; ');
+
+  const { privateKey, publicKeyBase64 } = await getSigningKeyPair();
+  const signature = await crypto.subtle.sign(SIGNATURE_PARAMS, privateKey, new TextEncoder().encode(manifestValue));
+
+  // One field per line keeps the header readable and within line length limits.
+  const manifestHeader = `X-Preservation-Manifest: ${fields.join(`;${CRLF} `)}${CRLF}`;
+  const signatureHeader = `X-Preservation-Signature: Algorithm="ECDSA-P256-SHA256";${CRLF}` +
+                          ` Public-Key="${publicKeyBase64}";${CRLF}` +
+                          ` Signature="${encodeArrayBufferAsBase64(signature)}"${CRLF}`;
+  return [manifestHeader + signatureHeader, ...eml];
+}
+
+/**
+* Parses the `Name="value"; ...` fields of a preservation header.
+* @param {string} value The unfolded header value.
+* @returns {Map<string, string>} The field values by field name.
+*/
+function parsePreservationFields(value) {
+  const fields = new Map();
+  for (const match of value.matchAll(/([\w.-]+)="((?:[^"\\]|\\.)*)"/g)) {
+    fields.set(match[1], match[2].replace(/\\(.)/g, '$1'));
+  }
+  return fields;
+}
+
+/**
+* Checks a preserved message against its manifest and signature.
+* @param {string} eml The preserved message as a binary string.
+* @returns {Promise<{sealed: boolean, signatureValid?: boolean, signedByThisInstallation?: boolean, headersMatch?: boolean, changedParts?: string[], missingParts?: string[], addedParts?: string[], originalDigest?: string, originalMatches?: boolean|null}>}
+*/
+async function verifyPreservedMessage(eml) {
+  const root = parseRawMessage(eml);
+  const manifestValue = root.headers.get(MANIFEST_HEADER)?.[0];
+  const signatureValue = root.headers.get(SIGNATURE_HEADER)?.[0];
+  if (!manifestValue || !signatureValue) {
+    return { sealed: false };
+  }
+
+  const manifest = parsePreservationFields(manifestValue);
+  const signatureFields = parsePreservationFields(signatureValue);
+
+  let signatureValid = false;
+  let signedByThisInstallation = false;
+  try {
+    const publicKeyBase64 = signatureFields.get('Public-Key');
+    const publicKey = await crypto.subtle.importKey("spki", base64ToBytes(publicKeyBase64), SIGNING_ALGORITHM, false, ["verify"]);
+    signatureValid = await crypto.subtle.verify(
+      SIGNATURE_PARAMS,
+      publicKey,
+      base64ToBytes(signatureFields.get('Signature')),
+      new TextEncoder().encode(manifestValue)
+    );
+    signedByThisInstallation = publicKeyBase64 === (await getSigningKeyPair()).publicKeyBase64;
+  } catch (error) {
+    console.error("Failed to check the preservation signature:", error);
+  }
+
+  const digests = await computePreservationDigests(eml);
+  const changedParts = [];
+  const missingParts = [];
+  for (const [field, expected] of manifest) {
+    if (!field.startsWith('Part-')) continue;
+    const partName = field.substring('Part-'.length);
+    if (!digests.parts.has(partName)) {
+      missingParts.push(partName);
+    } else if (digests.parts.get(partName) !== expected) {
+      changedParts.push(partName);
+    }
+  }
+  const addedParts = [...digests.parts.keys()].filter(partName => !manifest.has(`Part-${partName}`));
+
+  // An attached copy of the original must match the original digest exactly.
+  const originalPart = listRawLeafParts(root).find(part => part.headers.get('x-preservation-role')?.[0] === 'original');
+  const originalMatches = originalPart
+    ? await sha256Hex(binaryStringToBytes(originalPart.body)) === manifest.get('Original')
+    : null;
+
+  return {
+    sealed: true,
+    signatureValid,
+    signedByThisInstallation,
+    headersMatch: digests.headers === manifest.get('Headers'),
+    changedParts,
+    missingParts,
+    addedParts,
+    originalDigest: manifest.get('Original'),
+    originalMatches
+  };
+}
+
+/**
+* Decodes Base64 to bytes.
+* @param {string} base64
+* @returns {Uint8Array}
+*/
+function base64ToBytes(base64) {
+  return binaryStringToBytes(atob(base64));
+}
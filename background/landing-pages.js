@@ -0,0 +1,264 @@
+// Snapshots of the pages a message links to.
+//
+// The links of newsletters and notifications rarely point to the page they
+// stand for: they go through click-tracking redirects first, and the page
+// they end on can change or disappear. When snapshots are turned on, the
+// links of a message are followed like a click would, the redirects on the
+// way are recorded, and the landing page is captured with its images and
+// stylesheets. Following a link tells its sender that it was clicked, so this
+// is off by default.
+//
+// A link in a message is chosen by its sender, and so is every redirect it
+// takes. Requests made while capturing never go to loopback, private or
+// link-local addresses, or to local host names, unless the user lists them as
+// allowed domains: otherwise a message could make Thunderbird reach into the
+// local network and attach the answer.
+
+// How many redirects (HTTP and <meta http-equiv="refresh">) a link may take.
+const MAX_SNAPSHOT_REDIRECTS = 10;
+// How many redirects of add-on requests are remembered for the redirect chains.
+const MAX_RECORDED_REDIRECTS = 1000;
+// Links that are never followed, matched against their URL and their text:
+// following them could unsubscribe the user or change their preferences.
+const UNFOLLOWED_LINK_PATTERN = /unsubscribe|opt-?out|abmelden|desinscri|manage[\s_-]*preferences/i;
+
+// The HTTP redirects of the requests made by the add-on, by the URL that was
+// redirected, least recently recorded first: {url, status}. fetch() follows
+// redirects on its own and only tells where it ended up.
+const recordedRedirects = new Map();
+
+browser.webRequest.onBeforeRedirect.addListener((details) => {
+  if (!isAddonRequest(details)) return;
+  recordedRedirects.delete(details.url);
+  recordedRedirects.set(details.url, { url: details.redirectUrl, status: details.statusCode });
+  if (recordedRedirects.size > MAX_RECORDED_REDIRECTS) {
+    recordedRedirects.delete(recordedRedirects.keys().next().value);
+  }
+}, { urls: ["http://*/*", "https://*/*"] });
+
+/**
+* @typedef {object} RedirectHop
+* @property {string} url The URL that was redirected.
+* @property {number|string|null} status The HTTP status of the redirect, "refresh" for a
+*   `<meta http-equiv="refresh">`, or null if it is not known.
+*/
+
+/**
+* @typedef {object} LandingPage
+* @property {string} url The link that was followed.
+* @property {string} finalUrl The URL of the page the link led to.
+* @property {RedirectHop[]} redirects The redirects from the link to the page, in order.
+* @property {Document} doc The parsed page.
+* @property {string} charset The encoding the page was decoded from.
+* @property {FetchedResource} response The response of the page.
+*/
+
+/**
+* Finds the links of a document whose pages are captured: HTTP(S) links, in
+* document order and each only once, leaving out links that unsubscribe.
+* @param {Document} doc The document.
+* @param {string|null} baseUrl The base URL for relative links, or null if only absolute links can be resolved.
+* @param {number} maxLinks How many links to return at most.
+* @returns {string[]} The absolute URLs.
+*/
+function findSnapshotLinks(doc, baseUrl, maxLinks) {
+  const links = new Set();
+  for (const anchor of doc.querySelectorAll('a[href]')) {
+    if (links.size >= maxLinks) break;
+    const url = resolveResourceUrl(anchor.getAttribute('href'), baseUrl);
+    if (!url || UNFOLLOWED_LINK_PATTERN.test(url) || UNFOLLOWED_LINK_PATTERN.test(anchor.textContent)) continue;
+    // The fragment does not change the page.
+    links.add(url.split('#')[0]);
+  }
+  return [...links];
+}
+
+/**
+* Parses the list of domains whose pages may be captured.
+* @param {string} allowedDomains Domains, one per line (or separated by spaces or commas).
+* @returns {string[]} The lowercase domains; empty if every domain is allowed.
+*/
+function parseSnapshotDomainList(allowedDomains) {
+  return (allowedDomains || '').split(/[\s,]+/)
+    .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+}
+
+/**
+* Checks whether the page at a URL may be captured.
+* @param {string} url The absolute URL of the page.
+* @param {string[]} allowedDomains The allowed domains (subdomains are allowed as well), or an empty list for all.
+* @returns {boolean}
+*/
+function isSnapshotDomainAllowed(url, allowedDomains) {
+  return allowedDomains.length === 0 || isListedDomain(new URL(url).hostname, allowedDomains);
+}
+
+/**
+* Checks whether a host is one of a list of domains or a subdomain of one.
+* @param {string} hostname The host name, as in `URL.hostname`.
+* @param {string[]} domains The lowercase domains.
+* @returns {boolean}
+*/
+function isListedDomain(hostname, domains) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  return domains.some(domain => {
+    domain = domain.replace(/^\[(.*)\]$/, '$1');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+* Finds the reason why a request made while capturing is refused: a private
+* or local host that the user did not list explicitly.
+* @param {string} url The absolute URL of the request or redirect.
+* @param {string[]} allowedDomains The domains the user allowed.
+* @returns {string|null} The reason, or null if the request may be made.
+*/
+function findSnapshotBlockReason(url, allowedDomains) {
+  const { hostname } = new URL(url);
+  if (!isPrivateHost(hostname) || isListedDomain(hostname, allowedDomains)) return null;
+  return `${hostname} is a local or private address`;
+}
+
+/**
+* Checks whether a host is on the local machine or the local network: a
+* loopback, private, link-local or otherwise non-public IP address, a local
+* name such as `localhost` or `printer.local`, or a name without dots.
+* Names are not resolved, so a public name that points to a private address
+* is not recognized.
+* @param {string} hostname The host name, as in `URL.hostname` (which writes IP addresses in their canonical form).
+* @returns {boolean}
+*/
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+  if (host.includes(':')) return isPrivateIpv6Address(host);
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (ipv4) return isPrivateIpv4Address(ipv4.slice(1).map(Number));
+  return !host.includes('.') || /\.(?:localhost|local|localdomain|internal|intranet|lan|home\.arpa)$/.test(host);
+}
+
+/**
+* Checks whether an IPv4 address is not a public unicast address.
+* @param {number[]} octets The four octets.
+* @returns {boolean}
+*/
+function isPrivateIpv4Address([a, b]) {
+  return a === 0 || a === 10 || a === 127 // "this" network, private, loopback
+    || (a === 100 && b >= 64 && b < 128) // shared address space (carrier-grade NAT)
+    || (a === 169 && b === 254) // link-local
+    || (a === 172 && b >= 16 && b < 32) // private
+    || (a === 192 && b === 168) // private
+    || (a === 198 && (b === 18 || b === 19)) // benchmarking
+    || a >= 224; // multicast and reserved
+}
+
+/**
+* Checks whether an IPv6 address is not a public unicast address.
+* @param {string} address The address in canonical form, without brackets.
+* @returns {boolean}
+*/
+function isPrivateIpv6Address(address) {
+  // IPv4-mapped addresses reach the IPv4 address they contain.
+  const mapped = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = mapped.slice(1).map(group => parseInt(group, 16));
+    return isPrivateIpv4Address([high >> 8, high & 0xff, low >> 8, low & 0xff]);
+  }
+  return address === '::' || address === '::1' // unspecified, loopback
+    || /^f[cd][0-9a-f]{2}:/.test(address) // unique local (fc00::/7)
+    || /^fe[89ab][0-9a-f]:/.test(address) // link-local (fe80::/10)
+    || /^ff[0-9a-f]{2}:/.test(address); // multicast
+}
+
+/**
+* Follows a link to the page it leads to, through HTTP redirects and
+* `<meta http-equiv="refresh">` redirects.
+* @param {string} url The absolute URL of the link.
+* @param {{timeout: number, init?: RequestInit, findBlockReason?: function(string): (string|null)}} fetchOptions
+*   The options of `fetchResource`; `findBlockReason` is checked against every redirect as well.
+* @returns {Promise<LandingPage>} Rejects if the link does not lead to an HTML page, or if one of its redirects is refused.
+*/
+async function fetchLandingPage(url, fetchOptions) {
+  const redirects = [];
+  let requestUrl = url;
+  for (;;) {
+    const response = await fetchResource(requestUrl, fetchOptions);
+    const hops = traceRedirects(requestUrl, response.finalUrl);
+    // The request guard cancels refused redirects before they are requested;
+    // this also covers responses that came from the cache.
+    for (const hop of [...hops.slice(1), { url: response.finalUrl }]) {
+      const blockReason = fetchOptions.findBlockReason?.(hop.url);
+      if (blockReason) throw new Error(`Redirected to a refused address: ${blockReason}`);
+    }
+    redirects.push(...hops);
+
+    const { value: contentType, params } = parseHeaderParams(response.contentType);
+    if (!['text/html', 'application/xhtml+xml'].includes(contentType.toLowerCase())) {
+      throw new Error(`Not an HTML page (${contentType})`);
+    }
+    const { text, charset } = decodeHtml(new Uint8Array(response.data), params.charset);
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+
+    const refreshUrl = findMetaRefreshUrl(doc, response.finalUrl);
+    if (!refreshUrl || refreshUrl === response.finalUrl) {
+      return { url, finalUrl: response.finalUrl, redirects, doc, charset, response };
+    }
+    if (redirects.length >= MAX_SNAPSHOT_REDIRECTS) {
+      throw new Error(`More than ${MAX_SNAPSHOT_REDIRECTS} redirects`);
+    }
+    redirects.push({ url: response.finalUrl, status: 'refresh' });
+    requestUrl = refreshUrl;
+  }
+}
+
+/**
+* Reconstructs the HTTP redirects that led from a URL to the URL a response came from.
+* @param {string} url The requested URL.
+* @param {string} finalUrl The URL of the response.
+* @returns {RedirectHop[]}
+*/
+function traceRedirects(url, finalUrl) {
+  const hops = [];
+  let current = url;
+  while (current !== finalUrl && hops.length < MAX_SNAPSHOT_REDIRECTS) {
+    const redirect = recordedRedirects.get(current);
+    if (!redirect) {
+      // The redirect went unnoticed (e.g. it was recorded too long ago); the
+      // chain still ends where the response came from.
+      hops.push({ url: current, status: null });
+      break;
+    }
+    hops.push({ url: current, status: redirect.status });
+    current = redirect.url;
+  }
+  return hops;
+}
+
+/**
+* Finds the page a `<meta http-equiv="refresh">` element sends the browser to.
+* @param {Document} doc The page.
+* @param {string} baseUrl The URL of the page.
+* @returns {string|null} The absolute URL, or null if the page does not redirect.
+*/
+function findMetaRefreshUrl(doc, baseUrl) {
+  for (const meta of doc.querySelectorAll('meta[http-equiv][content]')) {
+    if (meta.getAttribute('http-equiv').trim().toLowerCase() !== 'refresh') continue;
+    const target = meta.getAttribute('content').match(/^\s*[\d.]*\s*[;,]\s*(?:url\s*=\s*)?(['"]?)(.+?)\1\s*$/i)?.[2];
+    const url = resolveResourceUrl(target, baseUrl);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+* Formats the X-Preservation-Redirect header fields of a snapshot, one for every redirect.
+* @param {RedirectHop[]} redirects The redirects, in order.
+* @returns {Array<[string, string]>} The header fields as [name, value] pairs.
+*/
+function formatRedirectHeaders(redirects) {
+  return redirects.map(({ url, status }) => [
+    'X-Preservation-Redirect',
+    `${formatParameter('URL', url)}; ${formatParameter('Status', status === null ? 'unknown' : String(status))}`
+  ]);
+}
@@ -0,0 +1,185 @@
+// The preservation ledger: a record of every message that was preserved,
+// kept in IndexedDB. It is how messages that were preserved before are
+// recognized, and the options page shows it.
+//
+// Entries are added one record at a time, so the ledger can grow without
+// every preservation rewriting all of it, and the check for a message that
+// was preserved before looks it up by its content digest.
+// This file is loaded by both the background page and the options page.
+
+const LEDGER_DB_NAME = "preservation-ledger";
+// The entries, keyed by an increasing number, so the key order is the order
+// in which they were added; indexed by messageId and contentDigest.
+const LEDGER_STORE = "entries";
+// Pages showing the ledger are told about changes on this channel.
+const LEDGER_CHANNEL_NAME = "preservation-ledger";
+
+// Columns of the CSV export, in order; the JSON export has the same fields.
+const LEDGER_COLUMNS = [
+  'preservedAt', 'messageId', 'contentDigest', 'subject', 'author', 'date',
+  'folder', 'savedAs', 'toolVersion'
+];
+
+/**
+* @typedef {object} LedgerEntry
+* @property {string} preservedAt When the message was preserved (ISO 8601).
+* @property {string} messageId The Message-ID header of the original, or ''.
+* @property {string} contentDigest The SHA-256 of the original (see `computeContentDigest`).
+* @property {string} subject The subject of the original.
+* @property {string} author The author of the original.
+* @property {string|null} date When the original was sent (ISO 8601).
+* @property {string} folder The folder the original was in.
+* @property {string} savedAs Where the preserved copy was saved, for display.
+* @property {string} toolVersion The version of the add-on that preserved it.
+*/
+
+// The open ledger database of this page, once it was requested.
+let ledgerDatabase = null;
+
+/**
+* Opens the ledger database, creating it on first use.
+* @returns {Promise<IDBDatabase>}
+*/
+function openLedgerDatabase() {
+  if (!ledgerDatabase) {
+    const request = indexedDB.open(LEDGER_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(LEDGER_STORE, { autoIncrement: true });
+      store.createIndex('messageId', 'messageId');
+      store.createIndex('contentDigest', 'contentDigest');
+    };
+    ledgerDatabase = promisifyRequest(request).catch(error => {
+      ledgerDatabase = null;
+      throw error;
+    });
+  }
+  return ledgerDatabase;
+}
+
+/**
+* Reads the ledger.
+* @returns {Promise<LedgerEntry[]>} The entries, oldest first.
+*/
+async function getLedger() {
+  const db = await openLedgerDatabase();
+  return promisifyRequest(db.transaction(LEDGER_STORE).objectStore(LEDGER_STORE).getAll());
+}
+
+/**
+* Creates the ledger entry for a message that was just preserved.
+* @param {browser.messages.MessageHeader} message The original message.
+* @param {string} contentDigest The content digest of the original.
+* @param {string} savedAs Where the preserved copy was saved, for display.
+* @returns {LedgerEntry}
+*/
+function createLedgerEntry(message, contentDigest, savedAs) {
+  return {
+    preservedAt: new Date().toISOString(),
+    messageId: message.headerMessageId || '',
+    contentDigest,
+    subject: message.subject || '',
+    author: message.author || '',
+    date: message.date ? new Date(message.date).toISOString() : null,
+    folder: message.folder?.path || '',
+    savedAs,
+    toolVersion: messenger.runtime.getManifest().version || '0.0.0'
+  };
+}
+
+/**
+* Adds entries to the ledger, each as a record of its own.
+* @param {LedgerEntry[]} entries The new entries.
+* @returns {Promise<void>}
+*/
+async function appendLedgerEntries(entries) {
+  if (entries.length === 0) return;
+  const db = await openLedgerDatabase();
+  const transaction = db.transaction(LEDGER_STORE, 'readwrite');
+  const store = transaction.objectStore(LEDGER_STORE);
+  entries.forEach(entry => store.add(entry));
+  await promisifyTransaction(transaction);
+  announceLedgerChange();
+}
+
+/**
+* Removes every entry from the ledger.
+* @returns {Promise<void>}
+*/
+async function clearLedger() {
+  const db = await openLedgerDatabase();
+  const transaction = db.transaction(LEDGER_STORE, 'readwrite');
+  transaction.objectStore(LEDGER_STORE).clear();
+  await promisifyTransaction(transaction);
+  announceLedgerChange();
+}
+
+/**
+* Tells the open pages that show the ledger that it changed.
+*/
+function announceLedgerChange() {
+  const channel = new BroadcastChannel(LEDGER_CHANNEL_NAME);
+  channel.postMessage('changed');
+  channel.close();
+}
+
+/**
+* Finds the latest preservation of a message. A message counts as preserved
+* before when both its Message-ID and its content are the same.
+* @param {string} messageId The Message-ID header of the message, or ''.
+* @param {string} contentDigest The content digest of the message.
+* @returns {Promise<LedgerEntry|null>}
+*/
+async function findLedgerEntry(messageId, contentDigest) {
+  const db = await openLedgerDatabase();
+  const index = db.transaction(LEDGER_STORE).objectStore(LEDGER_STORE).index('contentDigest');
+  // The entries with the same digest, latest first.
+  const request = index.openCursor(IDBKeyRange.only(contentDigest), 'prev');
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(null);
+      } else if (cursor.value.messageId === messageId) {
+        resolve(cursor.value);
+      } else {
+        cursor.continue();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+* Checks whether a ledger entry contains a search text, in any of its fields.
+* @param {LedgerEntry} entry The entry.
+* @param {string} query The search text; empty matches everything.
+* @returns {boolean}
+*/
+function matchesLedgerQuery(entry, query) {
+  const needle = query.trim().toLowerCase();
+  return !needle || LEDGER_COLUMNS.some(column => String(entry[column] ?? '').toLowerCase().includes(needle));
+}
+
+/**
+* Formats ledger entries as CSV, with a header row.
+* @param {LedgerEntry[]} entries The entries.
+* @returns {string}
+*/
+function formatLedgerCsv(entries) {
+  return [LEDGER_COLUMNS, ...entries.map(entry => LEDGER_COLUMNS.map(column => entry[column]))]
+    .map(row => row.map(formatCsvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+* Formats a value as a CSV field (RFC 4180). Spreadsheets run a field that
+* starts with =, +, -, @, a tab or a carriage return as a formula, so such a
+* field (a subject, say) is prefixed with a quote to be shown as text.
+* @param {*} value The value.
+* @returns {string}
+*/
+function formatCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,344 @@
+// Minimal parser for raw RFC 822 / MIME messages.
+//
+// `messenger.messages.getFull` only exposes decoded text parts; attachments and
+// the exact bytes of each part are not available through it. To carry original
+// parts over unchanged, the raw message from `messenger.messages.getRaw` (a
+// "binary string", one character per byte) is split into its MIME entities here.
+// Every entity keeps its exact raw text, so it can be re-emitted byte-for-byte.
+
+/**
+* @typedef {object} RawMimePart
+* @property {string} raw The exact raw text of the entity (headers, blank line and body).
+* @property {string} headerBlock The raw header block, without the terminating blank line.
+* @property {string} body The raw, still transfer-encoded body.
+* @property {Map<string, string[]>} headers Unfolded header values by lowercase header name.
+* @property {string} contentType The lowercase media type, e.g. "text/html".
+* @property {Object<string, string>} contentTypeParams The Content-Type parameters (lowercase names).
+* @property {string} disposition The lowercase Content-Disposition value, or '' if absent.
+* @property {Object<string, string>} dispositionParams The Content-Disposition parameters.
+* @property {string} partName The Thunderbird part name ("1", "1.2", ...).
+* @property {RawMimePart|null} parent The enclosing multipart entity.
+* @property {RawMimePart[]} parts The child entities of a multipart entity.
+*/
+
+/**
+* Parses a raw message into a tree of MIME entities.
+* Part names follow Thunderbird's numbering, so they match the `partName`
+* values returned by `messenger.messages.getFull`: the message body is "1",
+* its children "1.1", "1.2", and so on.
+* @param {string} rawMessage The raw message as a binary string.
+* @returns {RawMimePart} The root entity.
+*/
+function parseRawMessage(rawMessage) {
+  return parseRawMimePart(rawMessage, '1', null);
+}
+
+/**
+* Parses one MIME entity and, for multiparts, its children.
+* @param {string} raw The raw text of the entity.
+* @param {string} partName The Thunderbird part name of the entity.
+* @param {RawMimePart|null} parent The enclosing entity.
+* @returns {RawMimePart}
+*/
+function parseRawMimePart(raw, partName, parent) {
+  const { headerBlock, body } = splitHeaderAndBody(raw);
+  const headers = parseHeaderBlock(headerBlock);
+
+  const contentTypeHeader = parseHeaderParams(headers.get('content-type')?.[0] || '');
+  // RFC 2045: a missing Content-Type defaults to text/plain, except inside
+  // a multipart/digest where it defaults to message/rfc822.
+  const defaultType = parent?.contentType === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+  const contentType = contentTypeHeader.value.toLowerCase() || defaultType;
+  const dispositionHeader = parseHeaderParams(headers.get('content-disposition')?.[0] || '');
+
+  const part = {
+    raw,
+    headerBlock,
+    body,
+    headers,
+    contentType,
+    contentTypeParams: contentTypeHeader.params,
+    disposition: dispositionHeader.value.toLowerCase(),
+    dispositionParams: dispositionHeader.params,
+    partName,
+    parent,
+    parts: []
+  };
+
+  const boundary = contentTypeHeader.params.boundary;
+  if (contentType.startsWith('multipart/') && boundary) {
+    splitMultipartBody(body, boundary).forEach((childRaw, index) => {
+      part.parts.push(parseRawMimePart(childRaw, `${partName}.${index + 1}`, part));
+    });
+  }
+
+  return part;
+}
+
+/**
+* Splits an entity at the first empty line.
+* @param {string} raw The raw text of the entity.
+* @returns {{headerBlock: string, body: string}}
+*/
+function splitHeaderAndBody(raw) {
+  // An entity that starts with an empty line has no headers at all.
+  const leadingBlank = raw.match(/^\r?\n/);
+  if (leadingBlank) {
+    return { headerBlock: '', body: raw.substring(leadingBlank[0].length) };
+  }
+
+  const separator = /\r?\n\r?\n/.exec(raw);
+  if (!separator) {
+    return { headerBlock: raw, body: '' };
+  }
+  return {
+    headerBlock: raw.substring(0, separator.index),
+    body: raw.substring(separator.index + separator[0].length)
+  };
+}
+
+/**
+* Unfolds and collects the headers of a header block.
+* @param {string} headerBlock The raw header block.
+* @returns {Map<string, string[]>} Header values by lowercase header name, in order.
+*/
+function parseHeaderBlock(headerBlock) {
+  const headers = new Map();
+  // Continuation lines start with whitespace; join them to the previous line.
+  const unfolded = headerBlock.replace(/\r?\n(?=[ \t])/g, '');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colonIndex = line.indexOf(':');
+    if (colonIndex <= 0) continue;
+    const name = line.substring(0, colonIndex).trim().toLowerCase();
+    const value = line.substring(colonIndex + 1).trim();
+    if (!headers.has(name)) headers.set(name, []);
+    headers.get(name).push(value);
+  }
+  return headers;
+}
+
+/**
+* Splits a structured header value like `text/html; charset="UTF-8"` into its
+* main value and parameters. Handles quoted strings and RFC 2231 extended and
+* continued parameters (`filename*0*=utf-8''...`).
+* @param {string} headerValue The unfolded header value.
+* @returns {{value: string, params: Object<string, string>}}
+*/
+function parseHeaderParams(headerValue) {
+  const segments = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < headerValue.length; i++) {
+    const char = headerValue[i];
+    if (char === '\\' && inQuotes && i + 1 < headerValue.length) {
+      current += char + headerValue[++i];
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (char === ';' && !inQuotes) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+
+  const value = segments.shift().trim();
+  const params = {};
+  const extended = {};
+
+  for (const segment of segments) {
+    const equalsIndex = segment.indexOf('=');
+    if (equalsIndex === -1) continue;
+    const name = segment.substring(0, equalsIndex).trim().toLowerCase();
+    let paramValue = segment.substring(equalsIndex + 1).trim();
+    if (paramValue.startsWith('"') && paramValue.endsWith('"') && paramValue.length >= 2) {
+      paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    // RFC 2231: name*0, name*1* ... are pieces of one value; a trailing "*"
+    // marks a percent-encoded piece, the first of which carries the charset.
+    const extendedMatch = name.match(/^([^*]+)\*(?:(\d+)\*?)?$/);
+    if (extendedMatch) {
+      const [, baseName, index] = extendedMatch;
+      const encoded = name.endsWith('*');
+      (extended[baseName] = extended[baseName] || []).push({
+        index: index === undefined ? 0 : Number(index),
+        encoded,
+        value: paramValue
+      });
+    } else {
+      params[name] = paramValue;
+    }
+  }
+
+  for (const [name, pieces] of Object.entries(extended)) {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const decoded = pieces.map((piece, position) => {
+      let pieceValue = piece.value;
+      if (!piece.encoded) return pieceValue;
+      if (position === 0) {
+        const charsetMatch = pieceValue.match(/^([^']*)'[^']*'(.*)$/);
+        if (charsetMatch) {
+          charset = charsetMatch[1] || charset;
+          pieceValue = charsetMatch[2];
+        }
+      }
+      return pieceValue.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }).join('');
+
+    try {
+      const bytes = Uint8Array.from(decoded, char => char.charCodeAt(0) & 0xff);
+      params[name] = new TextDecoder(charset).decode(bytes);
+    } catch (e) {
+      params[name] = decoded; // Unknown charset, keep the raw text.
+    }
+  }
+
+  return { value, params };
+}
+
+/**
+* Splits the body of a multipart entity into the raw text of its children.
+* The preamble and epilogue are dropped. Per RFC 2046 the line break in front
+* of a delimiter belongs to the delimiter, not to the preceding part.
+* @param {string} body The raw multipart body.
+* @param {string} boundary The boundary parameter of the entity.
+* @returns {string[]} The raw text of each child entity.
+*/
+function splitMultipartBody(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const children = [];
+  let partStart = -1;
+  let searchFrom = 0;
+
+  while (searchFrom <= body.length) {
+    const index = body.indexOf(delimiter, searchFrom);
+    if (index === -1) break;
+    searchFrom = index + delimiter.length;
+
+    // Delimiters only count at the start of a line...
+    if (index > 0 && body[index - 1] !== '\n') continue;
+    // ...and only if the boundary is not just the prefix of a longer one.
+    const isClose = body.startsWith('--', searchFrom);
+    const after = body[isClose ? searchFrom + 2 : searchFrom];
+    if (after !== undefined && !/[\r\n \t]/.test(after)) continue;
+
+    if (partStart !== -1) {
+      let partEnd = index;
+      if (body[partEnd - 1] === '\n') partEnd--;
+      if (body[partEnd - 1] === '\r') partEnd--;
+      children.push(body.substring(partStart, Math.max(partStart, partEnd)));
+    }
+    if (isClose) return children;
+
+    const lineEnd = body.indexOf('\n', searchFrom);
+    partStart = lineEnd === -1 ? body.length : lineEnd + 1;
+    searchFrom = partStart;
+  }
+
+  // Missing closing delimiter: keep what follows the last delimiter.
+  if (partStart !== -1 && partStart < body.length) {
+    children.push(body.substring(partStart).replace(/\r?\n$/, ''));
+  }
+  return children;
+}
+
+/**
+* Finds the entity with the given Thunderbird part name.
+* @param {RawMimePart} root The root entity.
+* @param {string} partName The part name to look for.
+* @returns {RawMimePart|null}
+*/
+function findRawPartByName(root, partName) {
+  if (root.partName === partName) return root;
+  for (const child of root.parts) {
+    if (partName.startsWith(`${child.partName}.`) || partName === child.partName) {
+      return findRawPartByName(child, partName);
+    }
+  }
+  return null;
+}
+
+/**
+* Lists the leaf (non-multipart) entities below an entity, in document order.
+* @param {RawMimePart} part The entity to start from.
+* @returns {RawMimePart[]}
+*/
+function listRawLeafParts(part) {
+  if (part.parts.length === 0) return [part];
+  return part.parts.flatMap(listRawLeafParts);
+}
+
+/**
+* Returns the Content-Location of an entity. A long URL may be folded
+* anywhere (RFC 2557), so the whitespace the folding left in it is removed.
+* @param {RawMimePart} part The entity.
+* @returns {string|null} The URL, or null if the entity has none.
+*/
+function getRawPartContentLocation(part) {
+  const location = part.headers.get('content-location')?.[0];
+  return location ? location.replace(/\s+/g, '') : null;
+}
+
+/**
+* Decodes a transfer-encoded body.
+* @param {string} body The raw body as a binary string.
+* @param {string} encoding The Content-Transfer-Encoding, e.g. "base64" (any case).
+* @returns {string} The decoded bytes as a binary string.
+*/
+function decodeTransferEncoding(body, encoding) {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64': {
+      const base64 = body.replace(/[^A-Za-z0-9+/]/g, '');
+      // A single leftover character cannot be decoded; drop it.
+      return atob(base64.length % 4 === 1 ? base64.slice(0, -1) : base64);
+    }
+    case 'quoted-printable':
+      return body.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    default:
+      return body;
+  }
+}
+
+/**
+* Converts a binary string (one character per byte) to bytes.
+* @param {string} binaryString The binary string.
+* @returns {Uint8Array}
+*/
+function binaryStringToBytes(binaryString) {
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+* Keeps the header fields of a raw header block whose name passes a test.
+* Folded fields are kept together with their continuation lines, unchanged.
+* @param {string} headerBlock The raw header block.
+* @param {function(string): boolean} predicate Called with the lowercase header name.
+* @returns {string} The kept header lines, each terminated by "\n" (empty if none are kept).
+*/
+function filterRawHeaderFields(headerBlock, predicate) {
+  const keptLines = [];
+  let keepCurrentField = true;
+
+  for (const line of headerBlock.split(/\r?\n/)) {
+    // Check if it's a new header line (doesn't start with whitespace)
+    if (line.length > 0 && ' \t'.indexOf(line[0]) === -1) {
+      const colonIndex = line.indexOf(':');
+      // Malformed lines without a colon are kept.
+      keepCurrentField = colonIndex === -1 || predicate(line.substring(0, colonIndex).trim().toLowerCase());
+    }
+    if (keepCurrentField && line.length > 0) {
+      keptLines.push(line);
+    }
+  }
+  return keptLines.map(line => `${line}\n`).join('');
+}
@@ -0,0 +1,321 @@
+// Serialization of MIME messages.
+//
+// Everything the add-on writes goes through here, so the output is
+// consistent: CRLF line endings, header fields folded at whitespace to stay
+// within 78 characters where possible and never beyond 998 (RFC 5322),
+// non-ASCII header text as RFC 2047 encoded-words, non-ASCII and long
+// parameters (filenames, URLs) in RFC 2231 form, and multipart boundaries
+// that are checked against the content they enclose.
+//
+// Like the parser, the writer works on binary strings (one character per
+// byte). Raw parts carried over from the original message are written with
+// CRLF line endings too, except where the bytes must stay exactly as they
+// are (Content-Transfer-Encoding: binary).
+//
+// Entities are built as lists of chunks rather than one string: Base64 bodies
+// are encoded a slice at a time straight into Blobs, and the message only
+// becomes one Blob at the end. Large messages never exist as a single string.
+
+const CRLF = '\r\n';
+const MAX_HEADER_LINE_LENGTH = 78;
+// RFC 5322: no line may be longer than this, whatever it contains.
+const MAX_LINE_LENGTH = 998;
+// RFC 2557: the URL of these header fields may be folded anywhere, and readers
+// remove the whitespace (see `getRawPartContentLocation`).
+const URL_HEADER_FIELDS = new Set(['content-location']);
+// RFC 2047: an encoded-word is at most 75 characters. 45 bytes are 60 Base64
+// characters, which leaves room for "=?UTF-8?B?" and "?=".
+const MAX_ENCODED_WORD_BYTES = 45;
+// Length of the sections of a long RFC 2231 parameter value.
+const MAX_PARAMETER_SECTION_LENGTH = 60;
+// Base64 bodies are encoded this many bytes at a time: 8192 lines of 57 bytes,
+// which encode to 76 characters each.
+const BASE64_CHUNK_BYTES = 57 * 8192;
+// RFC 2045: the longest line of a quoted-printable body, soft line breaks included.
+const MAX_QUOTED_PRINTABLE_LINE_LENGTH = 76;
+
+/**
+* @typedef {Array<string|Blob>} MimeChunks
+* The content of an entity or a message, in order: binary strings, and Blobs
+* that hold Base64 text (see `formatBase64Body`).
+*/
+
+/**
+* Formats a header field, folded at whitespace so lines stay within 78
+* characters where possible. Words too long for a line are broken: URLs of
+* Content-Location at 78 characters, anything else only at the hard limit of
+* 998 characters.
+* @param {string} name The header name.
+* @param {string} value The header value, ASCII only (see `encodeHeaderText`).
+* @returns {string} The header field, terminated by CRLF.
+*/
+function formatHeaderField(name, value) {
+  // A header value cannot contain line breaks of its own.
+  const tokens = `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`.match(/[ \t]*[^ \t]+/g) || [`${name}:`];
+  const maxLineLength = URL_HEADER_FIELDS.has(name.toLowerCase()) ? MAX_HEADER_LINE_LENGTH : MAX_LINE_LENGTH;
+  const lines = [];
+  let line = '';
+
+  for (const token of tokens) {
+    if (line && line.length + token.length > MAX_HEADER_LINE_LENGTH) {
+      lines.push(line);
+      // The whitespace in front of the token starts the continuation line.
+      line = /^[ \t]/.test(token) ? token : ` ${token}`;
+    } else {
+      line += token;
+    }
+    while (line.length > maxLineLength) {
+      lines.push(line.slice(0, maxLineLength));
+      line = ` ${line.slice(maxLineLength)}`;
+    }
+  }
+  lines.push(line);
+  return lines.join(CRLF) + CRLF;
+}
+
+/**
+* Encodes the non-ASCII words of an unstructured header value (like a
+* subject or a display name) as RFC 2047 encoded-words. ASCII words are kept
+* as they are, so the header stays readable.
+* @param {string} text The decoded header value.
+* @returns {string} The ASCII header value.
+*/
+function encodeHeaderText(text) {
+  // Runs of words with non-ASCII characters become one sequence of
+  // encoded-words; the whitespace between encoded-words is ignored when decoding.
+  return text.replace(/\S*[^\x00-\x7f]\S*(?:\s+\S*[^\x00-\x7f]\S*)*/g, encodeWords);
+}
+
+/**
+* Encodes text as a sequence of "B" encoded-words in UTF-8. Characters are
+* never split across encoded-words.
+* @param {string} text The text.
+* @returns {string}
+*/
+function encodeWords(text) {
+  const encoder = new TextEncoder();
+  const words = [];
+  let chunk = '';
+  let chunkBytes = 0;
+
+  for (const char of text) {
+    const charBytes = encoder.encode(char).length;
+    if (chunk && chunkBytes + charBytes > MAX_ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+      chunkBytes = 0;
+    }
+    chunk += char;
+    chunkBytes += charBytes;
+  }
+  if (chunk) words.push(chunk);
+
+  return words.map(word => `=?UTF-8?B?${encodeArrayBufferAsBase64(encoder.encode(word))}?=`).join(' ');
+}
+
+/**
+* Formats a header parameter like `filename="report.pdf"`. ASCII values that
+* fit on a line are written as quoted strings; other values in the RFC 2231
+* form (`filename*=UTF-8''...`), split into numbered sections
+* (`filename*0*=...; filename*1*=...`) when long, so the header can be folded
+* between them.
+* @param {string} name The parameter name.
+* @param {string} value The decoded parameter value.
+* @returns {string}
+*/
+function formatParameter(name, value) {
+  const quoted = `${name}="${value.replace(/[\\"]/g, '\\$&')}"`;
+  // One space is left for folding, and one for the ";" after the parameter.
+  if (/^[\x20-\x7e]*$/.test(value) && quoted.length <= MAX_HEADER_LINE_LENGTH - 2) {
+    return quoted;
+  }
+
+  // Percent-encode everything but the attribute-char set of RFC 2231.
+  const tokens = Array.from(new TextEncoder().encode(value), byte => {
+    const char = String.fromCharCode(byte);
+    return /[A-Za-z0-9!#$&+.^_`|~-]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  });
+  const encoded = tokens.join('');
+  if (encoded.length <= MAX_PARAMETER_SECTION_LENGTH) {
+    return `${name}*=UTF-8''${encoded}`;
+  }
+
+  // Sections never split a %XX escape.
+  const sections = [];
+  let section = '';
+  for (const token of tokens) {
+    if (section.length + token.length > MAX_PARAMETER_SECTION_LENGTH) {
+      sections.push(section);
+      section = '';
+    }
+    section += token;
+  }
+  sections.push(section);
+  return sections.map((text, index) => `${name}*${index}*=${index === 0 ? "UTF-8''" : ''}${text}`).join('; ');
+}
+
+/**
+* Builds a MIME entity from its header fields and its (already encoded) body.
+* @param {Array<[string, string]>} headers The header fields as [name, value] pairs, values ASCII only.
+* @param {string|Blob} body The encoded body: a binary string, or a Blob from `formatBase64Body`.
+* @returns {MimeChunks}
+*/
+function buildMimeEntity(headers, body) {
+  return [headers.map(([name, value]) => formatHeaderField(name, value)).join('') + CRLF, body];
+}
+
+/**
+* Builds a multipart entity. The boundary is random, and checked not to occur
+* in any of the parts.
+* @param {string} subtype The multipart subtype, e.g. "mixed" or "related".
+* @param {Array<string|MimeChunks>} parts The complete child entities.
+* @param {Object<string, string>} [params] Further Content-Type parameters, e.g. `{type: "text/html"}`.
+* @param {Array<[string, string]>} [headers] Further header fields as [name, value] pairs, values ASCII only.
+* @returns {MimeChunks}
+*/
+function buildMultipart(subtype, parts, params = {}, headers = []) {
+  const partChunks = parts.map(part => [].concat(part));
+  const boundary = createBoundary(`----=_${subtype[0].toUpperCase()}${subtype.slice(1)}_`, partChunks.flat());
+  const contentType = [`multipart/${subtype}`, formatParameter('boundary', boundary)]
+    .concat(Object.entries(params).map(([name, value]) => formatParameter(name, value)))
+    .join('; ');
+
+  // RFC 2046: the CRLF in front of a delimiter belongs to the delimiter.
+  const headerText = [['Content-Type', contentType], ...headers].map(([name, value]) => formatHeaderField(name, value)).join('');
+  const chunks = [headerText + CRLF];
+  partChunks.forEach((part, index) => {
+    chunks.push(index === 0 ? `--${boundary}${CRLF}` : `${CRLF}--${boundary}${CRLF}`, ...part);
+  });
+  chunks.push(`${CRLF}--${boundary}--${CRLF}`);
+  return chunks;
+}
+
+/**
+* Creates a boundary that none of the chunks contains.
+* @param {string} prefix The start of the boundary.
+* @param {MimeChunks} chunks The content the boundary will separate.
+* @returns {string}
+*/
+function createBoundary(prefix, chunks) {
+  for (;;) {
+    const boundary = `${prefix}${crypto.randomUUID()}`;
+    // Blobs only hold Base64 text, which has no "_", so they cannot contain a boundary.
+    if (!chunks.some(chunk => typeof chunk === 'string' && chunk.includes(boundary))) return boundary;
+    console.warn(`Boundary ${boundary} occurs in the content, choosing another one.`);
+  }
+}
+
+/**
+* Joins the chunks of a message into one Blob.
+* @param {MimeChunks} chunks The message.
+* @param {string} type The media type of the Blob.
+* @returns {Blob}
+*/
+function mimeChunksToBlob(chunks, type) {
+  // Strings would be written as UTF-8; binary strings must become their bytes.
+  return new Blob(chunks.map(chunk => typeof chunk === 'string' ? binaryStringToBytes(chunk) : chunk), { type });
+}
+
+/**
+* Returns the raw text of an original part, ready to be written into a new
+* message: with CRLF line endings, unless the part (or one inside it) is
+* binary, in which case it is left untouched.
+* @param {RawMimePart} part The parsed original part.
+* @returns {string}
+*/
+function formatRawEntity(part) {
+  return hasBinaryContent(part) ? part.raw : normalizeLineEndings(part.raw);
+}
+
+/**
+* Like `formatRawEntity`, but keeps only the MIME (Content-*) header fields.
+* A part that is the whole original message, like a single-part text/plain
+* body, would otherwise carry its From, Subject, etc. into the new message.
+* @param {RawMimePart} part The parsed original part.
+* @returns {string}
+*/
+function formatRawBodyEntity(part) {
+  const mimeHeaders = filterRawHeaderFields(part.headerBlock, name => name.startsWith('content-'));
+  return formatRawEntity({ ...part, raw: `${mimeHeaders}\n${part.body}` });
+}
+
+/**
+* Checks whether a part, or any part inside it, uses Content-Transfer-Encoding: binary.
+* @param {RawMimePart} part The parsed part.
+* @returns {boolean}
+*/
+function hasBinaryContent(part) {
+  const isBinary = (entity) => entity.headers.get('content-transfer-encoding')?.[0]?.trim().toLowerCase() === 'binary';
+  return isBinary(part) || listRawLeafParts(part).some(isBinary);
+}
+
+/**
+* Converts bare LF line endings to CRLF.
+* @param {string} text The text.
+* @returns {string}
+*/
+function normalizeLineEndings(text) {
+  return text.replace(/\r?\n/g, CRLF);
+}
+
+/**
+* Encodes an ArrayBuffer to a Base64 string.
+* @param {ArrayBuffer|Uint8Array} buffer The bytes to encode.
+* @returns {string} The Base64 encoded string, on a single line.
+*/
+function encodeArrayBufferAsBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const pieces = [];
+  // String.fromCharCode takes a limited number of arguments.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    pieces.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+  }
+  return btoa(pieces.join(''));
+}
+
+/**
+* Encodes bytes as the body of a base64 part: lines of 76 characters. The
+* bytes are encoded a slice at a time, so the body never exists as one string.
+* @param {ArrayBuffer|Uint8Array} buffer The bytes to encode.
+* @returns {Blob} The Base64 text, without a trailing line break.
+*/
+function formatBase64Body(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_BYTES) {
+    // Every slice but the last is a whole number of lines.
+    const lines = encodeArrayBufferAsBase64(bytes.subarray(i, i + BASE64_CHUNK_BYTES)).match(/.{1,76}/g);
+    chunks.push((i === 0 ? '' : CRLF) + lines.join(CRLF));
+  }
+  return new Blob(chunks);
+}
+
+/**
+* Encodes text as the body of a quoted-printable part (RFC 2045), in UTF-8.
+* Line breaks become CRLF, encoded lines stay within 76 characters (soft line
+* breaks included), and spaces and tabs at the end of a line are encoded, so
+* transport cannot strip them.
+* @param {string} str The text to encode.
+* @returns {string} The encoded body.
+*/
+function quotedPrintableEncode(str) {
+  const encoder = new TextEncoder();
+  return str.split(/\r\n|\r|\n/).map(line => {
+    const bytes = encoder.encode(line);
+    let encoded = '';
+    let lineLength = 0;
+    bytes.forEach((byte, index) => {
+      const isLast = index === bytes.length - 1;
+      const isLiteral = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+      const token = isLiteral ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      // A soft line break takes one more character, unless nothing follows on this line.
+      if (lineLength + token.length > MAX_QUOTED_PRINTABLE_LINE_LENGTH - (isLast ? 0 : 1)) {
+        encoded += `=${CRLF}`;
+        lineLength = 0;
+      }
+      encoded += token;
+      lineLength += token.length;
+    });
+    return encoded;
+  }).join(CRLF);
+}
@@ -0,0 +1,162 @@
+// Privacy-safe fetching of remote resources.
+//
+// Loading the remote content of a message tells the sender that it was read,
+// and cookies or a referrer tell them who read it. While preserving, requests
+// made by the add-on go out without cookies, referrer and other identifying
+// headers, and tracking pixels and known tracker domains are not fetched at
+// all: they are replaced by a placeholder and listed in the preserved message.
+
+// Known tracking and email analytics domains. Subdomains are blocked as well.
+const TRACKER_DOMAINS = [
+  'bananatag.com',
+  'ct.sendgrid.net',
+  'doubleclick.net',
+  'emltrk.com',
+  'getnotify.com',
+  'google-analytics.com',
+  'list-manage.com',
+  'mailfoogae.appspot.com',
+  'mailtrack.io',
+  'mandrillapp.com',
+  'mixmax.com',
+  'pixel.wp.com',
+  'yesware.com'
+];
+
+// URLs of open-tracking endpoints, like /track/open.php, /wf/open or /pixel.gif,
+// and query parameters that report an "open" event. The endpoint must be the
+// last path segment: /pixel/banner.jpg or /track/123/cover.jpg are content.
+const TRACKING_URL_PATTERNS = [
+  /\/(?:open|opened|track|tracking|trk|pixel|beacon)(?:\.(?:gif|png|php|aspx?))?\/?(?:[?#]|$)/i,
+  /[?&](?:e|ev|evt|event|action|type)=open(?:ed)?(?:[&#]|$)/i
+];
+
+// Request headers that identify the user, or link the request to earlier ones.
+const IDENTIFYING_REQUEST_HEADERS = new Set([
+  'cookie',
+  'authorization',
+  'referer',
+  'origin',
+  'accept-language',
+  'if-none-match',
+  'if-modified-since'
+]);
+
+// A transparent 1x1 GIF, used in place of blocked images.
+const BLOCKED_IMAGE_PLACEHOLDER = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+// fetch() options that keep cookies and the referrer out of a request.
+const PRIVACY_SAFE_FETCH_INIT = { credentials: 'omit', referrerPolicy: 'no-referrer', cache: 'no-store' };
+
+const ADDON_BASE_URL = browser.runtime.getURL('');
+
+// Mirrors the privacySafeFetching setting; the request listeners below
+// cannot wait for storage.
+let privacySafeFetching = DEFAULT_SETTINGS.privacySafeFetching;
+getSettings().then(settings => { privacySafeFetching = settings.privacySafeFetching; });
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && 'privacySafeFetching' in changes) {
+    privacySafeFetching = changes.privacySafeFetching.newValue ?? DEFAULT_SETTINGS.privacySafeFetching;
+  }
+});
+
+/**
+* Checks whether a request was made by the add-on itself, rather than by a
+* message or web page displayed in Thunderbird.
+* @param {object} details The webRequest event details.
+* @returns {boolean}
+*/
+function isAddonRequest(details) {
+  return details.tabId === -1 && (details.originUrl || details.documentUrl || '').startsWith(ADDON_BASE_URL);
+}
+
+// Strip identifying headers from the requests made while preserving.
+browser.webRequest.onBeforeSendHeaders.addListener((details) => {
+  if (!privacySafeFetching || !isAddonRequest(details)) return {};
+  return {
+    requestHeaders: details.requestHeaders.filter(header => !IDENTIFYING_REQUEST_HEADERS.has(header.name.toLowerCase()))
+  };
+}, { urls: ["http://*/*", "https://*/*"] }, ["blocking", "requestHeaders"]);
+
+// Don't let the responses set cookies that would identify later requests.
+browser.webRequest.onHeadersReceived.addListener((details) => {
+  if (!privacySafeFetching || !isAddonRequest(details)) return {};
+  return {
+    responseHeaders: details.responseHeaders.filter(header => header.name.toLowerCase() !== 'set-cookie')
+  };
+}, { urls: ["http://*/*", "https://*/*"] }, ["blocking", "responseHeaders"]);
+
+/**
+* Builds the list of blocked domains from the built-in list and the user's additions.
+* @param {string} extraTrackerDomains Additional domains, one per line (or separated by spaces or commas).
+* @returns {string[]} The lowercase domains.
+*/
+function buildTrackerDomainList(extraTrackerDomains) {
+  const extra = (extraTrackerDomains || '').split(/[\s,]+/)
+    .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+  return [...TRACKER_DOMAINS, ...extra];
+}
+
+/**
+* Decides whether a resource is a tracker that must not be fetched.
+* @param {string} url The absolute URL of the resource.
+* @param {Element|null} element The element that loads it, or null for CSS url()s.
+* @param {string[]|null} trackerDomains The blocked domains, or null if tracker blocking is off.
+* @returns {string|null} The reason for blocking ('tracker-domain', 'tracking-pixel' or 'tracking-url'), or null to fetch it.
+*/
+function findTrackerReason(url, element, trackerDomains) {
+  if (!trackerDomains) return null;
+
+  const { hostname, pathname, search } = new URL(url);
+  if (trackerDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+    return 'tracker-domain';
+  }
+  if (element && isOnePixelImage(element)) {
+    return 'tracking-pixel';
+  }
+  if (TRACKING_URL_PATTERNS.some(pattern => pattern.test(pathname + search))) {
+    return 'tracking-url';
+  }
+  return null;
+}
+
+/**
+* Checks whether an image is declared as 1x1 (or smaller), through its
+* width/height attributes or its inline style.
+* @param {Element} element The element.
+* @returns {boolean}
+*/
+function isOnePixelImage(element) {
+  if (!['img', 'input'].includes(element.localName)) return false;
+  const style = element.getAttribute('style') || '';
+
+  const size = (property) => {
+    const styleValue = style.match(new RegExp(`(?:^|[;\\s])${property}\\s*:\\s*([\\d.]+)(?:px)?\\s*(?:!important\\s*)?(?:;|$)`, 'i'))?.[1];
+    const value = styleValue ?? element.getAttribute(property)?.trim().match(/^([\d.]+)(?:px)?$/i)?.[1];
+    return value === undefined ? null : Number(value);
+  };
+
+  const width = size('width');
+  const height = size('height');
+  return width !== null && height !== null && width <= 1 && height <= 1;
+}
+
+/**
+* Returns what a blocked resource is replaced by, so the element stays valid
+* without loading anything.
+* @param {Element|null} element The element that loads the resource, or null for CSS url()s.
+* @returns {string} A data: URI.
+*/
+function blockedResourcePlaceholder(element) {
+  return element?.localName === 'link' ? 'data:text/css,' : BLOCKED_IMAGE_PLACEHOLDER;
+}
+
+/**
+* Formats the X-Preservation-Blocked header that records one blocked resource.
+* @param {{url: string, reason: string}} blocked The blocked resource.
+* @returns {string} The header field, folded and terminated by CRLF.
+*/
+function formatBlockedResourceHeader({ url, reason }) {
+  return formatHeaderField('X-Preservation-Blocked', `${formatParameter('URL', url)}; ${formatParameter('Reason', reason)}`);
+}
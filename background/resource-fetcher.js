@@ -0,0 +1,353 @@
+// Fetching of remote resources for preservation.
+//
+// Every resource goes through one scheduler: at most FETCH_CONCURRENCY
+// requests run at once, and at most FETCH_CONCURRENCY_PER_HOST to the same
+// host, so a newsletter with many images loads in parallel without hammering
+// a single server. Transient failures (network errors, timeouts, 429, 5xx)
+// are retried with exponential backoff.
+//
+// Fetched resources are kept in a content-addressed cache for the rest of the
+// session: URLs point to the SHA-256 of their bytes, and identical bytes are
+// stored once. Preserving a batch of messages from the same sender fetches
+// their shared logos only once.
+//
+// A fetch can refuse URLs (see landing-pages.js): the URL is checked before
+// the request, and every redirect is checked before it is followed.
+//
+// Bodies larger than the size limit are never read whole: a Content-Length
+// above it fails the request right away, and a body without one is read as
+// a stream until it passes the limit.
+
+const FETCH_CONCURRENCY = 6;
+const FETCH_CONCURRENCY_PER_HOST = 2;
+
+const MAX_FETCH_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+// HTTP statuses worth another try; other errors are final.
+const RETRYABLE_HTTP_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// The cache drops the least recently used resources beyond this size.
+const MAX_RESOURCE_CACHE_BYTES = 64 * 1024 * 1024;
+
+// Cached responses without their bytes, by URL, least recently used first:
+// {sha256, contentType, finalUrl, status, etag, lastModified, fetchDate}
+const resourceCacheIndex = new Map();
+// The cached bytes by SHA-256, with the number of URLs that point to them.
+const resourceCacheContent = new Map();
+let resourceCacheBytes = 0;
+
+// Fetches in progress by URL, so concurrent requests for a URL share one download.
+const pendingResourceFetches = new Map();
+
+// Requests waiting for a free slot, and the running requests per host.
+const fetchQueue = [];
+const activeFetchesByHost = new Map();
+let activeFetchCount = 0;
+
+// The guards of requests that refuse some URLs, by the URL of a request about
+// to start, and by request ID once it started: {findBlockReason, requestId, blocked}.
+const requestGuardsByUrl = new Map();
+const requestGuardsById = new Map();
+
+// A redirect is a new request with the same request ID, so the guard sees every hop.
+browser.webRequest.onBeforeRequest.addListener((details) => {
+  if (!isAddonRequest(details)) return {};
+  let guard = requestGuardsById.get(details.requestId);
+  if (!guard) {
+    guard = requestGuardsByUrl.get(details.url);
+    if (!guard) return {};
+    requestGuardsByUrl.delete(details.url);
+    guard.requestId = details.requestId;
+    requestGuardsById.set(details.requestId, guard);
+  }
+  const reason = guard.findBlockReason(details.url);
+  if (!reason) return {};
+  console.warn(`Refusing request to ${details.url}: ${reason}`);
+  guard.blocked = reason;
+  return { cancel: true };
+}, { urls: ["http://*/*", "https://*/*"] }, ["blocking"]);
+
+/**
+* @typedef {object} FetchedResource
+* @property {ArrayBuffer} data The fetched bytes. Shared with the cache, so it must not be modified.
+* @property {string} contentType The Content-Type of the response.
+* @property {string} finalUrl The URL after redirects.
+* @property {number} status The HTTP status.
+* @property {string|null} etag The ETag of the response.
+* @property {string|null} lastModified The Last-Modified date of the response.
+* @property {string} fetchDate When the resource was fetched (ISO 8601), which is earlier than now for cached resources.
+* @property {string} sha256 The SHA-256 of the bytes, as lowercase hex.
+*/
+
+/**
+* Fetches a resource, from the session cache if possible.
+* @param {string} url The absolute URL.
+* @param {object} options
+* @param {number} options.timeout The timeout of a single attempt in milliseconds.
+* @param {RequestInit} [options.init] Further fetch() options, e.g. `PRIVACY_SAFE_FETCH_INIT`.
+* @param {function(string): (string|null)} [options.findBlockReason] Tells why a URL must not be requested,
+*   or returns null if it may be; checked against the URL and every redirect.
+* @param {number} [options.maxSize] The largest body in bytes; larger ones reject with an error whose
+*   `tooLarge` property is set, and whose `size` is the declared size, if any.
+* @returns {Promise<FetchedResource>}
+*/
+async function fetchResource(url, { timeout, init = {}, findBlockReason = null, maxSize = Infinity }) {
+  const blockReason = findBlockReason?.(url);
+  if (blockReason) throw new Error(`Refused: ${blockReason}`);
+
+  const cached = getCachedResource(url);
+  if (cached) {
+    console.log(`Using cached resource: ${url}`);
+    return checkFinalUrl(cached, findBlockReason);
+  }
+
+  if (!pendingResourceFetches.has(url)) {
+    const pending = fetchResourceWithRetries(url, timeout, init, findBlockReason, maxSize)
+      .then(resource => {
+        cacheResource(url, resource);
+        return resource;
+      })
+      .finally(() => pendingResourceFetches.delete(url));
+    pendingResourceFetches.set(url, pending);
+  }
+  // A download shared with a request that refuses nothing is only checked where it ended.
+  return checkFinalUrl(await pendingResourceFetches.get(url), findBlockReason);
+}
+
+/**
+* Refuses a resource that came from a refused URL, for responses that did not go through the request guard.
+* @param {FetchedResource} resource The resource.
+* @param {function(string): (string|null)|null} findBlockReason Tells why a URL must not be requested.
+* @returns {FetchedResource} The resource.
+*/
+function checkFinalUrl(resource, findBlockReason) {
+  const blockReason = findBlockReason?.(resource.finalUrl);
+  if (blockReason) throw new Error(`Refused: ${blockReason}`);
+  return resource;
+}
+
+/**
+* Fetches a resource, retrying transient failures with exponential backoff.
+* The fetch slot is released while waiting for the next attempt.
+* @param {string} url The absolute URL.
+* @param {number} timeout The timeout of a single attempt in milliseconds.
+* @param {RequestInit} init Further fetch() options.
+* @param {function(string): (string|null)|null} findBlockReason Tells why a URL must not be requested.
+* @param {number} maxSize The largest body in bytes.
+* @returns {Promise<FetchedResource>}
+*/
+async function fetchResourceWithRetries(url, timeout, init, findBlockReason, maxSize) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runWithFetchSlot(url, () => fetchResourceOnce(url, timeout, init, findBlockReason, maxSize));
+    } catch (error) {
+      if (!error.retryable || attempt >= MAX_FETCH_ATTEMPTS) throw error;
+
+      const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+      // Jitter keeps parallel retries against the same server apart.
+      const delay = error.retryAfter ?? backoff + Math.random() * RETRY_BASE_DELAY_MS;
+      console.warn(`Attempt ${attempt} to fetch ${url} failed (${error.message}), retrying in ${Math.round(delay)} ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+* Makes a single request for a resource.
+* @param {string} url The absolute URL.
+* @param {number} timeout The timeout in milliseconds.
+* @param {RequestInit} init Further fetch() options.
+* @param {function(string): (string|null)|null} findBlockReason Tells why a URL must not be requested.
+* @param {number} maxSize The largest body in bytes.
+* @returns {Promise<FetchedResource>} Rejects with an error whose `retryable` property tells whether another attempt may succeed.
+*/
+async function fetchResourceOnce(url, timeout, init, findBlockReason, maxSize) {
+  const guard = findBlockReason ? { findBlockReason, requestId: null, blocked: null } : null;
+  if (guard) requestGuardsByUrl.set(url, guard);
+  let response;
+  try {
+    response = await fetchWithTimeout(url, timeout, init);
+  } catch (error) {
+    if (guard?.blocked) {
+      throw Object.assign(new Error(`Redirected to a refused address: ${guard.blocked}`), { retryable: false });
+    }
+    // Network errors and timeouts are usually temporary.
+    throw Object.assign(new Error(error.message || 'Network error'), { retryable: true });
+  } finally {
+    // The response has arrived (or failed), so no more redirects follow.
+    if (guard) {
+      if (requestGuardsByUrl.get(url) === guard) requestGuardsByUrl.delete(url);
+      requestGuardsById.delete(guard.requestId);
+    }
+  }
+
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), {
+      retryable: RETRYABLE_HTTP_STATUSES.has(response.status),
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+
+  const data = await readResponseBody(response, maxSize);
+  return {
+    data,
+    contentType: response.headers.get('content-type') || 'application/octet-stream',
+    finalUrl: response.url,
+    status: response.status,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    fetchDate: new Date().toISOString(),
+    sha256: await sha256Hex(data)
+  };
+}
+
+/**
+* Reads the body of a response, giving up as soon as it is larger than allowed.
+* @param {Response} response The response.
+* @param {number} maxSize The largest body in bytes.
+* @returns {Promise<ArrayBuffer>} Rejects with an error whose `tooLarge` property is set if the body is larger.
+*/
+async function readResponseBody(response, maxSize) {
+  const tooLarge = (size) => Object.assign(new Error(`Larger than ${maxSize} bytes`), { retryable: false, tooLarge: true, size });
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > maxSize) {
+    response.body?.cancel().catch(() => {});
+    throw tooLarge(declaredSize);
+  }
+  if (!response.body || maxSize === Infinity) return response.arrayBuffer();
+
+  // The Content-Length may be missing, or be that of the compressed body.
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxSize) {
+      reader.cancel().catch(() => {});
+      throw tooLarge(null);
+    }
+    chunks.push(value);
+  }
+
+  const data = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return data.buffer;
+}
+
+/**
+* Converts a Retry-After header to a delay.
+* @param {string|null} value The header value: seconds or an HTTP date.
+* @returns {number|null} The delay in milliseconds, capped at MAX_RETRY_DELAY_MS, or null if there is none.
+*/
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const delay = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_DELAY_MS);
+}
+
+/**
+* Runs a request once the global and the per-host concurrency limits allow it.
+* @param {string} url The URL of the request.
+* @param {function(): Promise<*>} task Makes the request.
+* @returns {Promise<*>} The result of the task.
+*/
+function runWithFetchSlot(url, task) {
+  return new Promise((resolve, reject) => {
+    fetchQueue.push({ host: new URL(url).host, task, resolve, reject });
+    startQueuedFetches();
+  });
+}
+
+/**
+* Starts the queued requests that fit within the concurrency limits, in queue order.
+*/
+function startQueuedFetches() {
+  for (let i = 0; i < fetchQueue.length && activeFetchCount < FETCH_CONCURRENCY;) {
+    const request = fetchQueue[i];
+    const hostCount = activeFetchesByHost.get(request.host) || 0;
+    if (hostCount >= FETCH_CONCURRENCY_PER_HOST) {
+      i++;
+      continue;
+    }
+
+    fetchQueue.splice(i, 1);
+    activeFetchCount++;
+    activeFetchesByHost.set(request.host, hostCount + 1);
+
+    request.task()
+      .then(request.resolve, request.reject)
+      .finally(() => {
+        activeFetchCount--;
+        const remaining = activeFetchesByHost.get(request.host) - 1;
+        if (remaining > 0) {
+          activeFetchesByHost.set(request.host, remaining);
+        } else {
+          activeFetchesByHost.delete(request.host);
+        }
+        startQueuedFetches();
+      });
+  }
+}
+
+/**
+* Looks a URL up in the session cache.
+* @param {string} url The absolute URL.
+* @returns {FetchedResource|null}
+*/
+function getCachedResource(url) {
+  const entry = resourceCacheIndex.get(url);
+  if (!entry) return null;
+
+  // Move the entry to the end, as the most recently used.
+  resourceCacheIndex.delete(url);
+  resourceCacheIndex.set(url, entry);
+  return { ...entry, data: resourceCacheContent.get(entry.sha256).data };
+}
+
+/**
+* Adds a fetched resource to the session cache, dropping the least recently
+* used entries when the cache grows too large.
+* @param {string} url The URL the resource was fetched from.
+* @param {FetchedResource} resource The resource.
+*/
+function cacheResource(url, resource) {
+  // Very large resources would push everything else out.
+  if (resource.data.byteLength > MAX_RESOURCE_CACHE_BYTES / 4) return;
+  if (resourceCacheIndex.has(url)) evictCachedResource(url);
+
+  const { data, ...entry } = resource;
+  const content = resourceCacheContent.get(entry.sha256);
+  if (content) {
+    content.references++;
+  } else {
+    resourceCacheContent.set(entry.sha256, { data, references: 1 });
+    resourceCacheBytes += data.byteLength;
+  }
+  resourceCacheIndex.set(url, entry);
+
+  while (resourceCacheBytes > MAX_RESOURCE_CACHE_BYTES && resourceCacheIndex.size > 0) {
+    evictCachedResource(resourceCacheIndex.keys().next().value);
+  }
+}
+
+/**
+* Removes a URL from the session cache, and its bytes once no URL refers to them.
+* @param {string} url The URL.
+*/
+function evictCachedResource(url) {
+  const entry = resourceCacheIndex.get(url);
+  resourceCacheIndex.delete(url);
+
+  const content = resourceCacheContent.get(entry.sha256);
+  if (--content.references === 0) {
+    resourceCacheContent.delete(entry.sha256);
+    resourceCacheBytes -= content.data.byteLength;
+  }
+}
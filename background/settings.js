@@ -0,0 +1,73 @@
+// Settings of the add-on, kept in storage.local.
+// This file is loaded by both the background page and the options page.
+
+/**
+* The default value of every setting. Stored settings are merged over these,
+* so settings added in later versions get their default automatically.
+*/
+const DEFAULT_SETTINGS = {
+  // 'download': save to the downloads folder; 'folder': import into
+  // `importFolder`; 'both': do both.
+  destination: 'download',
+  // A MailFolder ({accountId, path, name}), or null for "Archive (Preserved)" in Local Folders.
+  importFolder: null,
+  // What happens to the original once it is preserved: 'keep', 'tag' (add the
+  // "Preserved" tag) or 'replace' (move to trash; only when imported into a folder).
+  originalMessageAction: 'tag',
+  // What happens to a message that is in the preservation ledger already:
+  // 'skip' it, preserve it again and 'warn' about it, or 'allow' it silently.
+  duplicateAction: 'skip',
+  // 'ask': show a "Save As" dialog for every preserved message.
+  // 'silent': save into `downloadSubfolder` of the downloads folder without asking.
+  // Batches are always saved silently, to avoid one dialog per message.
+  saveMode: 'ask',
+  downloadSubfolder: 'Preserved Emails',
+  // Tokens: {subject}, {sender}, {date}, {time}, {folder}, {messageId}, {timestamp}.
+  // ".eml" is appended automatically.
+  filenameTemplate: 'preserved_{subject}_{timestamp}',
+  fetchTimeoutSeconds: 15,
+  maxResourceSizeMB: 10,
+  stripScripts: true,
+  stripLinkTargets: true,
+  linkifyPlainText: false,
+  // Fetch remote resources without cookies, referrer and other identifying headers.
+  privacySafeFetching: true,
+  // Don't fetch tracking pixels and resources from known tracker domains.
+  blockTrackers: true,
+  // Additional tracker domains, one per line; subdomains are blocked as well.
+  extraTrackerDomains: '',
+  // Attach the byte-exact original (from messages.getRaw) as a message/rfc822 part.
+  attachOriginalMessage: false,
+  // Follow the links of a message (through their redirects) and attach a
+  // snapshot of every landing page. Following a link counts as a click.
+  snapshotLinkedPages: false,
+  snapshotMaxLinks: 10,
+  // Domains whose landing pages are captured, one per line; subdomains are
+  // allowed as well. Empty for all domains.
+  snapshotAllowedDomains: '',
+  // Once the snapshots of a message reach this size, no more pages are captured. 0 for no limit.
+  snapshotMaxTotalMB: 25,
+  // Formats saved besides the .eml: a standalone .html, a .pdf and a .zip
+  // bundle. They go to the downloads folder, whatever the destination.
+  exportHtml: false,
+  exportPdf: false,
+  exportZip: false,
+  // Automatic preservation of incoming mail. A new message is preserved when
+  // it matches any rule; a rule matches when all of its non-empty conditions
+  // do: {sender: address or domain, folder: name or path, subject: regular
+  // expression, tag: tag name or key}.
+  autoPreserveEnabled: false,
+  autoPreserveRules: []
+};
+
+// storage.local key of the auto-preservation log. It is not a setting, but
+// the options page shows it.
+const AUTO_PRESERVE_LOG_KEY = "autoPreserveLog";
+
+/**
+* Reads the current settings.
+* @returns {Promise<typeof DEFAULT_SETTINGS>}
+*/
+async function getSettings() {
+  return browser.storage.local.get(DEFAULT_SETTINGS);
+}
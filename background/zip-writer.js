@@ -0,0 +1,197 @@
+// Minimal ZIP writer for the ZIP export.
+//
+// Entries are stored without compression: the bulk of an export is images,
+// which are compressed already. Entry names are UTF-8 (general purpose flag
+// bit 11). Sizes, offsets and entry counts that do not fit into the classic
+// fields (files or archives of 4 GB and more, more than 65534 entries) are
+// written as ZIP64 records.
+
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+const ZIP_UTF8_FLAG = 0x0800;
+// The largest values of the classic 16-bit and 32-bit fields; at these
+// values, the ZIP64 records hold the real ones.
+const ZIP_MAX_UINT16 = 0xffff;
+const ZIP_MAX_UINT32 = 0xffffffff;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+* Computes the CRC-32 of bytes, as used by ZIP.
+* @param {Uint8Array} bytes
+* @returns {number}
+*/
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+* @typedef {object} ZipArchive
+* @property {object[]} entries The added files: a Blob with the local header and the content, and what the central directory needs.
+* @property {number} offset The size of the archive so far.
+* @property {number} entryCount The number of files added so far.
+*/
+
+/**
+* Starts an empty ZIP archive.
+* @returns {ZipArchive}
+*/
+function createZipArchive() {
+  return { entries: [], offset: 0, entryCount: 0 };
+}
+
+/**
+* Adds a file to a ZIP archive. The file becomes a Blob right away, so its
+* bytes don't have to be kept around until the archive is finished.
+* @param {ZipArchive} zip The archive.
+* @param {string} name The path inside the archive, with "/" separators.
+* @param {Uint8Array|string} data The content; strings are written as UTF-8.
+* @param {Date} [date] The modification date.
+*/
+function addZipEntry(zip, name, data, date = new Date()) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  addZipBlobEntry(zip, name, new Blob([bytes]), crc32(bytes), date);
+}
+
+/**
+* Adds a file whose CRC-32 is known already, without reading it.
+* @param {ZipArchive} zip The archive.
+* @param {string} name The path inside the archive, with "/" separators.
+* @param {Blob} blob The content.
+* @param {number} crc The CRC-32 of the content (see `crc32`).
+* @param {Date} [date] The modification date.
+*/
+function addZipBlobEntry(zip, name, blob, crc, date = new Date()) {
+  const nameBytes = new TextEncoder().encode(name);
+  const { dosTime, dosDate } = toDosDateTime(date);
+  // The local header of a file of 4 GB or more has its sizes in a ZIP64 extra field.
+  const isZip64 = blob.size >= ZIP_MAX_UINT32;
+  const extraField = isZip64 ? buildZip64ExtraField([blob.size, blob.size]) : new DataView(new ArrayBuffer(0));
+
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034b50, true); // Local file header signature
+  header.setUint16(4, isZip64 ? ZIP64_VERSION : ZIP_VERSION, true);
+  header.setUint16(6, ZIP_UTF8_FLAG, true);
+  header.setUint16(8, 0, true); // Stored
+  header.setUint16(10, dosTime, true);
+  header.setUint16(12, dosDate, true);
+  header.setUint32(14, crc, true);
+  header.setUint32(18, Math.min(blob.size, ZIP_MAX_UINT32), true);
+  header.setUint32(22, Math.min(blob.size, ZIP_MAX_UINT32), true);
+  header.setUint16(26, nameBytes.length, true);
+  header.setUint16(28, extraField.byteLength, true);
+
+  zip.entries.push({
+    blob: new Blob([header, nameBytes, extraField, blob]),
+    nameBytes, crc, size: blob.size, dosTime, dosDate, offset: zip.offset
+  });
+  zip.offset += 30 + nameBytes.length + extraField.byteLength + blob.size;
+  zip.entryCount++;
+}
+
+/**
+* Builds a ZIP64 extended information extra field.
+* @param {number[]} values The 64-bit values it holds, in the order of the format:
+*   uncompressed size, compressed size, local header offset (each only if its classic field overflows).
+* @returns {DataView}
+*/
+function buildZip64ExtraField(values) {
+  const field = new DataView(new ArrayBuffer(4 + 8 * values.length));
+  field.setUint16(0, ZIP64_EXTRA_FIELD_ID, true);
+  field.setUint16(2, 8 * values.length, true);
+  values.forEach((value, index) => field.setBigUint64(4 + 8 * index, BigInt(value), true));
+  return field;
+}
+
+/**
+* Finishes a ZIP archive with its central directory.
+* @param {ZipArchive} zip The archive.
+* @returns {Blob}
+*/
+function finishZipArchive(zip) {
+  const directory = zip.entries.map(entry => {
+    // Values that overflow their classic field go into the ZIP64 extra field.
+    const zip64Values = [
+      ...(entry.size >= ZIP_MAX_UINT32 ? [entry.size, entry.size] : []),
+      ...(entry.offset >= ZIP_MAX_UINT32 ? [entry.offset] : [])
+    ];
+    const extraField = zip64Values.length > 0 ? buildZip64ExtraField(zip64Values) : new DataView(new ArrayBuffer(0));
+    const version = zip64Values.length > 0 ? ZIP64_VERSION : ZIP_VERSION;
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true); // Central directory header signature
+    header.setUint16(4, version, true);
+    header.setUint16(6, version, true);
+    header.setUint16(8, ZIP_UTF8_FLAG, true);
+    header.setUint16(10, 0, true); // Stored
+    header.setUint16(12, entry.dosTime, true);
+    header.setUint16(14, entry.dosDate, true);
+    header.setUint32(16, entry.crc, true);
+    header.setUint32(20, Math.min(entry.size, ZIP_MAX_UINT32), true);
+    header.setUint32(24, Math.min(entry.size, ZIP_MAX_UINT32), true);
+    header.setUint16(28, entry.nameBytes.length, true);
+    header.setUint16(30, extraField.byteLength, true);
+    // No comment or attributes
+    header.setUint32(42, Math.min(entry.offset, ZIP_MAX_UINT32), true);
+    return new Blob([header, entry.nameBytes, extraField]);
+  });
+  const directorySize = directory.reduce((size, blob) => size + blob.size, 0);
+  const directoryOffset = zip.offset;
+  const entryCount = zip.entryCount;
+
+  // Too many entries, or a directory that starts or ends beyond 4 GB, need
+  // the ZIP64 end of central directory record and its locator.
+  const zip64Records = [];
+  if (entryCount >= ZIP_MAX_UINT16 || directorySize >= ZIP_MAX_UINT32 || directoryOffset >= ZIP_MAX_UINT32) {
+    const zip64End = new DataView(new ArrayBuffer(56));
+    zip64End.setUint32(0, 0x06064b50, true); // ZIP64 end of central directory signature
+    zip64End.setBigUint64(4, 44n, true); // Size of the rest of the record
+    zip64End.setUint16(12, ZIP64_VERSION, true);
+    zip64End.setUint16(14, ZIP64_VERSION, true);
+    zip64End.setBigUint64(24, BigInt(entryCount), true);
+    zip64End.setBigUint64(32, BigInt(entryCount), true);
+    zip64End.setBigUint64(40, BigInt(directorySize), true);
+    zip64End.setBigUint64(48, BigInt(directoryOffset), true);
+
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true); // ZIP64 end of central directory locator signature
+    locator.setBigUint64(8, BigInt(directoryOffset + directorySize), true);
+    locator.setUint32(16, 1, true); // Total number of disks
+    zip64Records.push(zip64End, locator);
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, Math.min(entryCount, ZIP_MAX_UINT16), true);
+  end.setUint16(10, Math.min(entryCount, ZIP_MAX_UINT16), true);
+  end.setUint32(12, Math.min(directorySize, ZIP_MAX_UINT32), true);
+  end.setUint32(16, Math.min(directoryOffset, ZIP_MAX_UINT32), true);
+
+  return new Blob([...zip.entries.map(entry => entry.blob), ...directory, ...zip64Records, end], { type: 'application/zip' });
+}
+
+/**
+* Converts a date to the MS-DOS format used by ZIP (local time, 2-second
+* resolution, 1980 to 2107).
+* @param {Date} date
+* @returns {{dosTime: number, dosDate: number}}
+*/
+function toDosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    dosDate: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
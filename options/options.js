@@ -0,0 +1,237 @@
+// Options page: shows the stored settings and saves every change right away.
+
+const form = document.getElementById('settings');
+const status = document.getElementById('status');
+const rulesBody = document.querySelector('#rules tbody');
+const logBody = document.querySelector('#auto-preserve-log tbody');
+const ledgerBody = document.querySelector('#ledger tbody');
+const ledgerSearch = document.getElementById('ledger-search');
+const ledgerCount = document.getElementById('ledger-count');
+
+// Only the newest matching ledger entries are listed; the export has all of them.
+const MAX_LISTED_LEDGER_ENTRIES = 200;
+
+/**
+* Fills the form with the given settings.
+* @param {typeof DEFAULT_SETTINGS} settings
+*/
+function showSettings(settings) {
+  rulesBody.replaceChildren();
+  settings.autoPreserveRules.forEach(addRuleRow);
+
+  for (const [name, value] of Object.entries(settings)) {
+    const field = form.elements[name];
+    if (!field) continue;
+
+    if (name === 'importFolder') {
+      field.value = value ? folderOptionValue(value) : '';
+    } else if (field instanceof RadioNodeList) {
+      field.value = value;
+    } else if (field.type === 'checkbox') {
+      field.checked = value;
+    } else {
+      field.value = value;
+    }
+  }
+}
+
+/**
+* Disables the formats this version of Thunderbird cannot save.
+*/
+function disableUnsupportedFormats() {
+  if (typeof browser.tabs?.saveAsPDF === 'function') return;
+  form.elements.exportPdf.checked = false;
+  form.elements.exportPdf.disabled = true;
+  document.getElementById('pdf-unsupported').hidden = false;
+}
+
+/**
+* Reads the settings from the form. Invalid fields keep their stored value.
+* @returns {Partial<typeof DEFAULT_SETTINGS>}
+*/
+function readSettings() {
+  const settings = {};
+  for (const [name, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const field = form.elements[name];
+    if (!field) continue;
+    if (!(field instanceof RadioNodeList) && !field.checkValidity()) continue;
+
+    if (name === 'importFolder') {
+      settings[name] = field.value ? JSON.parse(field.value) : null;
+    } else if (typeof defaultValue === 'boolean') {
+      settings[name] = field.checked;
+    } else if (typeof defaultValue === 'number') {
+      settings[name] = Number(field.value);
+    } else {
+      settings[name] = field.value.trim();
+    }
+  }
+
+  settings.autoPreserveRules = [...rulesBody.rows].map(row => {
+    const rule = {};
+    row.querySelectorAll('[data-field]').forEach(input => { rule[input.dataset.field] = input.value.trim(); });
+    return rule;
+  });
+  return settings;
+}
+
+/**
+* Adds a row for an auto-preservation rule to the rules table.
+* @param {{sender?: string, folder?: string, subject?: string, tag?: string}} [rule]
+*/
+function addRuleRow(rule = {}) {
+  const row = document.getElementById('rule-template').content.firstElementChild.cloneNode(true);
+  row.querySelectorAll('[data-field]').forEach(input => { input.value = rule[input.dataset.field] || ''; });
+  row.querySelector('.remove-rule').addEventListener('click', () => {
+    row.remove();
+    saveSettings();
+  });
+  rulesBody.appendChild(row);
+}
+
+/**
+* Shows the auto-preservation log, newest entries first.
+*/
+async function showAutoPreserveLog() {
+  const { [AUTO_PRESERVE_LOG_KEY]: log = [] } = await browser.storage.local.get(AUTO_PRESERVE_LOG_KEY);
+  logBody.replaceChildren();
+
+  for (const entry of [...log].reverse()) {
+    const row = logBody.insertRow();
+    const result = entry.outcome === 'preserved' ? `Preserved as ${entry.savedAs}`
+      : entry.outcome === 'duplicate' ? `Preserved before as ${entry.savedAs}`
+      : `Failed: ${entry.reason}`;
+    for (const text of [new Date(entry.date).toLocaleString(), entry.subject, entry.author, entry.folder, result]) {
+      row.insertCell().textContent = text;
+    }
+  }
+}
+
+/**
+* Reads the ledger entries that match the search field.
+* @returns {Promise<LedgerEntry[]>} The entries, oldest first.
+*/
+async function findLedgerMatches() {
+  return (await getLedger()).filter(entry => matchesLedgerQuery(entry, ledgerSearch.value));
+}
+
+/**
+* Shows the ledger entries that match the search field, newest first.
+*/
+async function showLedger() {
+  const matches = (await findLedgerMatches()).reverse();
+  ledgerBody.replaceChildren();
+
+  for (const entry of matches.slice(0, MAX_LISTED_LEDGER_ENTRIES)) {
+    const row = ledgerBody.insertRow();
+    const cells = [new Date(entry.preservedAt).toLocaleString(), entry.subject, entry.author, entry.messageId, entry.savedAs, entry.toolVersion];
+    for (const text of cells) {
+      row.insertCell().textContent = text;
+    }
+  }
+  ledgerCount.textContent = matches.length > MAX_LISTED_LEDGER_ENTRIES
+    ? `Showing the newest ${MAX_LISTED_LEDGER_ENTRIES} of ${matches.length} entries; the export includes all of them.`
+    : `${matches.length} ${matches.length === 1 ? 'entry' : 'entries'}.`;
+}
+
+/**
+* Saves the ledger entries that match the search field as a file.
+* @param {'csv'|'json'} format The file format.
+*/
+async function exportLedger(format) {
+  const entries = await findLedgerMatches();
+  const blob = format === 'csv'
+    ? new Blob([formatLedgerCsv(entries)], { type: 'text/csv' })
+    : new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  try {
+    await browser.downloads.download({ url, filename: `preservation-ledger.${format}`, saveAs: true });
+  } catch (error) {
+    // Also thrown when the "Save As" dialog is cancelled.
+    console.error('Failed to export the ledger:', error);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+* Returns the value of the folder <select> option for a folder.
+* @param {{accountId: string, path: string, name: string}} folder
+* @returns {string}
+*/
+function folderOptionValue({ accountId, path, name }) {
+  return JSON.stringify({ accountId, path, name });
+}
+
+/**
+* Lists the folders messages can be imported into. `messages.import` only
+* supports local folders, so IMAP, news and feed accounts are left out.
+*/
+async function populateImportFolders() {
+  const select = form.elements.importFolder;
+  const accounts = await messenger.accounts.list();
+
+  const addFolders = (account, folders, depth) => {
+    for (const folder of folders) {
+      const option = document.createElement('option');
+      option.value = folderOptionValue(folder);
+      option.textContent = `${account.name} / ${'\u00a0\u00a0'.repeat(depth)}${folder.name}`;
+      select.appendChild(option);
+      addFolders(account, folder.subFolders || [], depth + 1);
+    }
+  };
+
+  for (const account of accounts) {
+    if (account.type === 'none' || account.type === 'pop3') {
+      addFolders(account, account.folders || [], 0);
+    }
+  }
+}
+
+/**
+* Stores the settings currently shown in the form.
+*/
+async function saveSettings() {
+  try {
+    await browser.storage.local.set(readSettings());
+    status.textContent = 'Settings saved.';
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    status.textContent = 'Could not save the settings.';
+  }
+}
+
+form.addEventListener('change', saveSettings);
+
+document.getElementById('add-rule').addEventListener('click', () => addRuleRow());
+
+document.getElementById('clear-log').addEventListener('click', async () => {
+  await browser.storage.local.remove(AUTO_PRESERVE_LOG_KEY);
+  await showAutoPreserveLog();
+});
+
+document.getElementById('clear-ledger').addEventListener('click', async () => {
+  if (!confirm('Clear the ledger? Messages that were preserved before will no longer be recognized.')) return;
+  await clearLedger();
+  await showLedger();
+});
+
+document.getElementById('export-ledger-csv').addEventListener('click', () => exportLedger('csv'));
+document.getElementById('export-ledger-json').addEventListener('click', () => exportLedger('json'));
+ledgerSearch.addEventListener('input', showLedger);
+
+// Keep the log and the ledger up to date while the page is open.
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && AUTO_PRESERVE_LOG_KEY in changes) {
+    showAutoPreserveLog();
+  }
+});
+new BroadcastChannel(LEDGER_CHANNEL_NAME).addEventListener('message', showLedger);
+
+populateImportFolders()
+  .catch(error => console.error('Failed to list the mail folders:', error))
+  .then(getSettings)
+  .then(showSettings)
+  .then(disableUnsupportedFormats);
+showAutoPreserveLog();
+showLedger();
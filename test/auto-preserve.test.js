@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+test('preserved copies that arrive as new mail are not preserved again', async () => {
+  const context = loadBackgroundScripts();
+  const preserved = [];
+  const logged = [];
+  context.getSettings = async () => ({ autoPreserveEnabled: true, autoPreserveRules: [{ subject: 'invoice' }] });
+  context.messenger = {
+    messages: {
+      listTags: async () => [],
+      getFull: async id => ({ headers: id === 1 ? { 'x-preservation-info': ['Version="1.0"'] } : {} })
+    }
+  };
+  context.preserveMessage = async (message) => {
+    preserved.push(message.id);
+    return { savedAs: `${message.id}.eml`, previous: null };
+  };
+  context.appendAutoPreserveLog = async (entry) => logged.push(entry);
+
+  const folder = { name: 'Inbox', path: '/Inbox' };
+  const messages = [1, 2].map(id => ({ id, subject: 'Invoice', author: 'billing@example.com', tags: [] }));
+  await context.autoPreserveNewMessages(folder, { id: null, messages });
+
+  assert.deepStrictEqual(preserved, [2]);
+  assert.deepStrictEqual(logged.map(entry => entry.savedAs), ['2.eml']);
+});
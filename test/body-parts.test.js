@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const {
+  findHtmlPart, findPlainTextPart, findOriginalBodyParts, findReferencedLocations, parseRawMessage, findRawPartByName
+} = loadBackgroundScripts();
+
+// A plain-text message with an HTML file attached, as messages.getFull returns it.
+const plainTextWithHtmlAttachment = [{
+  contentType: 'multipart/mixed',
+  partName: '1',
+  parts: [
+    { contentType: 'text/plain', partName: '1.1', headers: {}, body: 'See the attached page.' },
+    {
+      contentType: 'text/html',
+      partName: '1.2',
+      name: 'page.html',
+      headers: { 'content-disposition': ['attachment; filename="page.html"'] }
+    }
+  ]
+}];
+
+const rawPlainTextWithHtmlAttachment = [
+  'From: sender@example.com',
+  'Subject: Page',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="b"',
+  '',
+  '--b',
+  'Content-Type: text/plain; charset=UTF-8',
+  '',
+  'See the attached page.',
+  '--b',
+  'Content-Type: text/html; name="page.html"',
+  'Content-Disposition: attachment; filename="page.html"',
+  '',
+  '<p>Attached</p>',
+  '--b--',
+  ''
+].join('\r\n');
+
+test('an attached HTML file is not taken for the body', () => {
+  assert.strictEqual(findHtmlPart(plainTextWithHtmlAttachment), null);
+  assert.strictEqual(findPlainTextPart(plainTextWithHtmlAttachment).partName, '1.1');
+});
+
+test('an HTML part marked as an attachment without a name is not the body', () => {
+  const parts = [{
+    contentType: 'multipart/mixed',
+    parts: [
+      { contentType: 'text/plain', headers: {} },
+      { contentType: 'text/html', headers: { 'content-disposition': ['attachment'] } }
+    ]
+  }];
+  assert.strictEqual(findHtmlPart(parts), null);
+});
+
+test('the body of an attached message is not the body', () => {
+  const parts = [{
+    contentType: 'multipart/mixed',
+    parts: [
+      { contentType: 'text/plain', headers: {} },
+      { contentType: 'message/rfc822', parts: [{ contentType: 'text/html', headers: {} }] }
+    ]
+  }];
+  assert.strictEqual(findHtmlPart(parts), null);
+});
+
+test('the HTML alternative is found', () => {
+  const parts = [{
+    contentType: 'multipart/alternative',
+    parts: [
+      { contentType: 'text/plain', partName: '1.1', headers: {} },
+      { contentType: 'text/html; charset=UTF-8', partName: '1.2', headers: {} }
+    ]
+  }];
+  assert.strictEqual(findHtmlPart(parts).partName, '1.2');
+});
+
+test('the text body stays the body when an HTML file is attached', () => {
+  const rawRoot = parseRawMessage(rawPlainTextWithHtmlAttachment);
+  const textPart = findPlainTextPart(plainTextWithHtmlAttachment);
+  const { attachmentParts } = findOriginalBodyParts(rawRoot, textPart.partName, new Set());
+  assert.deepStrictEqual(Array.from(attachmentParts, part => part.contentType), ['text/html']);
+  assert.strictEqual(findRawPartByName(rawRoot, textPart.partName).contentType, 'text/plain');
+});
+
+test('a calendar invite next to the HTML stays an alternative', () => {
+  const rawRoot = parseRawMessage([
+    'Content-Type: multipart/alternative; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    'Meeting',
+    '--b',
+    'Content-Type: text/html; charset=UTF-8',
+    '',
+    '<p>Meeting</p>',
+    '--b',
+    'Content-Type: text/calendar; method=REQUEST; charset=UTF-8',
+    '',
+    'BEGIN:VCALENDAR',
+    'END:VCALENDAR',
+    '--b--',
+    ''
+  ].join('\r\n'));
+  const { plainTextPart, alternativeParts, relatedParts, attachmentParts } = findOriginalBodyParts(rawRoot, '1.2', new Set());
+  assert.strictEqual(plainTextPart.partName, '1.1');
+  assert.deepStrictEqual(Array.from(alternativeParts, part => part.contentType), ['text/calendar']);
+  assert.strictEqual(relatedParts.length, 0);
+  assert.strictEqual(attachmentParts.length, 0);
+});
+
+test('an attachment inside multipart/related stays an attachment', () => {
+  const rawRoot = parseRawMessage([
+    'Content-Type: multipart/related; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: text/html; charset=UTF-8',
+    '',
+    '<img src="cid:logo@example.com">',
+    '--b',
+    'Content-Type: image/png',
+    'Content-ID: <logo@example.com>',
+    '',
+    'png',
+    '--b',
+    'Content-Type: application/pdf; name="invoice.pdf"',
+    'Content-Disposition: attachment; filename="invoice.pdf"',
+    '',
+    'pdf',
+    '--b--',
+    ''
+  ].join('\r\n'));
+  const { alternativeParts, relatedParts, attachmentParts } = findOriginalBodyParts(rawRoot, '1.1', new Set(['logo@example.com']));
+  assert.strictEqual(alternativeParts.length, 0);
+  assert.deepStrictEqual(Array.from(relatedParts, part => part.contentType), ['image/png']);
+  assert.deepStrictEqual(Array.from(attachmentParts, part => part.contentType), ['application/pdf']);
+});
+
+test('parts the HTML refers to by Content-Location are inline parts', () => {
+  const html = '<img src="images/logo.png"><div style="background: url(&quot;https://example.com/bg.png&quot;)"></div><a href="#top">Top</a>';
+  const rawRoot = parseRawMessage([
+    'Content-Type: multipart/mixed; boundary="m"',
+    '',
+    '--m',
+    'Content-Type: multipart/related; boundary="r"',
+    '',
+    '--r',
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Location: https://example.com/newsletter/index.html',
+    '',
+    html,
+    '--r',
+    'Content-Type: image/png',
+    'Content-Location: https://example.com/newsletter/images/logo.png',
+    '',
+    'png',
+    '--r--',
+    '--m',
+    'Content-Type: image/png',
+    'Content-Location: https://example.com/bg.png',
+    '',
+    'png',
+    '--m',
+    'Content-Type: image/png',
+    'Content-Location: https://example.com/other.png',
+    '',
+    'png',
+    '--m--',
+    ''
+  ].join('\r\n'));
+  const locations = findReferencedLocations(html);
+  assert.deepStrictEqual(Array.from(locations), ['images/logo.png', 'https://example.com/bg.png']);
+  const { relatedParts, attachmentParts } = findOriginalBodyParts(rawRoot, '1.1.1', new Set(), locations);
+  assert.deepStrictEqual(Array.from(relatedParts, part => part.partName), ['1.1.2', '1.2']);
+  assert.deepStrictEqual(Array.from(attachmentParts, part => part.partName), ['1.3']);
+});
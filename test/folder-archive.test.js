@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const { getArchiveMessageKey } = loadBackgroundScripts();
+
+test('messages with the same or no Message-ID get keys of their own', () => {
+  const seenMessageIds = new Map();
+  const date = new Date('2024-05-01T12:00:00Z');
+  const messages = [
+    { headerMessageId: 'a@example.com', date },
+    { headerMessageId: 'a@example.com', date },
+    { headerMessageId: '', date, author: 'x@example.com', subject: 'Hi' },
+    { headerMessageId: '', date, author: 'x@example.com', subject: 'Hi' }
+  ];
+  const keys = messages.map(message => getArchiveMessageKey(message, seenMessageIds));
+  assert.strictEqual(new Set(keys).size, messages.length);
+});
+
+test('the keys are the same when the folder is listed again', () => {
+  const messages = [{ headerMessageId: 'a@example.com' }, { headerMessageId: 'b@example.com' }, { headerMessageId: 'a@example.com' }];
+  const listKeys = () => {
+    const seenMessageIds = new Map();
+    return messages.map(message => getArchiveMessageKey(message, seenMessageIds));
+  };
+  assert.deepStrictEqual(listKeys(), listKeys());
+});
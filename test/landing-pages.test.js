@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const { findSnapshotBlockReason, isPrivateHost, fetchResource } = loadBackgroundScripts();
+
+test('local and private hosts are recognized, however the address is written', () => {
+  for (const url of [
+    'http://localhost/', 'http://LOCALHOST./admin', 'http://app.localhost/', 'http://printer.local/', 'http://router/',
+    'http://127.0.0.1/', 'http://127.1/', 'http://2130706433/', 'http://0x7f000001/', 'http://0.0.0.0/',
+    'http://10.1.2.3/', 'http://172.16.0.1/', 'http://172.31.255.255/', 'http://192.168.1.1:8080/',
+    'http://169.254.169.254/latest/meta-data/', 'http://100.64.0.1/',
+    'http://[::1]/', 'http://[::]/', 'http://[fd12:3456::1]/', 'http://[fe80::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::ffff:10.0.0.1]/'
+  ]) {
+    assert.ok(isPrivateHost(new URL(url).hostname), url);
+  }
+});
+
+test('public hosts are not private', () => {
+  for (const url of [
+    'https://example.com/', 'https://172.32.0.1/', 'https://192.169.0.1/', 'https://8.8.8.8/',
+    'https://[2001:db8::1]/', 'https://[::ffff:8.8.8.8]/', 'https://local.example.com/', 'https://fc.example.com/'
+  ]) {
+    assert.ok(!isPrivateHost(new URL(url).hostname), url);
+  }
+});
+
+test('private hosts are only allowed when they are listed explicitly', () => {
+  assert.match(findSnapshotBlockReason('http://192.168.1.1/', []), /192\.168\.1\.1/);
+  assert.match(findSnapshotBlockReason('http://intranet.local/', ['example.com']), /intranet\.local/);
+  assert.strictEqual(findSnapshotBlockReason('http://192.168.1.1/', ['192.168.1.1']), null);
+  assert.strictEqual(findSnapshotBlockReason('http://wiki.intranet.local/', ['intranet.local']), null);
+  assert.strictEqual(findSnapshotBlockReason('http://[::1]:8080/', ['[::1]']), null);
+  assert.strictEqual(findSnapshotBlockReason('https://example.com/', []), null);
+});
+
+test('a refused URL is never requested', async () => {
+  const findBlockReason = url => findSnapshotBlockReason(url, []);
+  await assert.rejects(fetchResource('http://127.0.0.1/secret', { timeout: 1000, findBlockReason }), /Refused: 127\.0\.0\.1/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const { formatLedgerCsv } = loadBackgroundScripts();
+
+test('fields that a spreadsheet would run as a formula are exported as text', () => {
+  const csv = formatLedgerCsv([{
+    preservedAt: '2026-01-02T03:04:05.000Z',
+    messageId: '<a@example.com>',
+    contentDigest: 'abc',
+    subject: '=HYPERLINK("https://example.com/","Invoice")',
+    author: '@sender',
+    date: null,
+    folder: '-1+1',
+    savedAs: '+Inbox',
+    toolVersion: '1.0'
+  }]);
+  assert.strictEqual(csv.split('\r\n')[1],
+    `2026-01-02T03:04:05.000Z,<a@example.com>,abc,"'=HYPERLINK(""https://example.com/"",""Invoice"")",'@sender,,'-1+1,'+Inbox,1.0`);
+});
@@ -0,0 +1,47 @@
+// Loads the background scripts of the add-on, in manifest order, into one
+// sandbox, the way the background page shares them. The WebExtension APIs are
+// replaced by a stub that accepts any call, so the scripts can register their
+// listeners; tests call the functions the scripts define.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+* A stand-in for `browser` and `messenger`: every property is another stub,
+* and calling it returns one too. It is not thenable, so awaiting it works.
+* @returns {Function}
+*/
+function createApiStub() {
+  const stub = new Proxy(function () {}, {
+    get: (target, property) => (property === 'then' ? undefined : property === 'getURL' ? () => 'moz-extension://test/' : stub),
+    apply: () => stub
+  });
+  return stub;
+}
+
+/**
+* Loads the background scripts.
+* @param {object} [globals] Further globals, e.g. a DOMParser.
+* @returns {vm.Context} The sandbox, with the functions of the scripts as properties.
+*/
+function loadBackgroundScripts(globals = {}) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const api = createApiStub();
+  const context = vm.createContext({
+    console: { log() {}, info() {}, warn() {}, error() {} },
+    browser: api,
+    messenger: api,
+    URL, TextEncoder, TextDecoder, Blob, atob, btoa, crypto,
+    setTimeout, clearTimeout, AbortController, structuredClone,
+    ...globals
+  });
+  for (const script of manifest.background.scripts) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+  }
+  return context;
+}
+
+module.exports = { loadBackgroundScripts };
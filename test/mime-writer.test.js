@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const {
+  formatHeaderField, formatParameter, formatBlockedResourceHeader, parseRawMessage, parseHeaderParams, getRawPartContentLocation,
+  quotedPrintableEncode, decodeTransferEncoding, formatRawBodyEntity
+} = loadBackgroundScripts();
+
+const longUrl = `https://click.example.net/track?${'id=0123456789abcdef&'.repeat(100)}end=1`;
+
+/**
+* Lists the lines of a header block, without their line breaks.
+* @param {string} header The header fields, terminated by CRLF.
+* @returns {string[]}
+*/
+function headerLines(header) {
+  assert.ok(header.endsWith('\r\n'));
+  return header.slice(0, -2).split('\r\n');
+}
+
+test('no header line is longer than 998 characters', () => {
+  const headers = [
+    formatHeaderField('Content-Location', longUrl),
+    formatBlockedResourceHeader({ url: longUrl, reason: 'Tracking pixel' }),
+    formatHeaderField('X-Preservation-Snapshot', `${formatParameter('Link', longUrl)}; Redirects="2"`),
+    formatHeaderField('Content-Disposition', `attachment; ${formatParameter('filename', `${'Quarterly report '.repeat(80)}.pdf`)}`),
+    formatHeaderField('X-Long-Word', 'x'.repeat(3000))
+  ];
+  for (const header of headers) {
+    for (const line of headerLines(header)) {
+      assert.ok(line.length <= 998, `${line.length} characters: ${line.slice(0, 40)}...`);
+    }
+  }
+});
+
+test('long URLs in Content-Location are folded at 78 characters and read back whole', () => {
+  const header = formatHeaderField('Content-Location', longUrl);
+  for (const line of headerLines(header)) {
+    assert.ok(line.length <= 78, `${line.length} characters`);
+  }
+  const part = parseRawMessage(`${header}Content-Type: image/png\r\n\r\nbody`);
+  assert.strictEqual(getRawPartContentLocation(part), longUrl);
+});
+
+test('long parameters are split into RFC 2231 sections that parse back to the value', () => {
+  const header = formatBlockedResourceHeader({ url: longUrl, reason: 'Tracking pixel' });
+  for (const line of headerLines(header)) {
+    assert.ok(line.length <= 78, `${line.length} characters`);
+  }
+  assert.match(header, /URL\*0\*=UTF-8''/);
+  const value = header.slice(header.indexOf(':') + 1).replace(/\r\n(?=[ \t])/g, '');
+  const { params } = parseHeaderParams(`x; ${value}`);
+  assert.strictEqual(params.url, longUrl);
+  assert.strictEqual(params.reason, 'Tracking pixel');
+});
+
+test('short ASCII parameters stay quoted strings', () => {
+  assert.strictEqual(formatParameter('filename', 'report "final".pdf'), 'filename="report \\"final\\".pdf"');
+});
+
+test('quoted-printable encodes trailing whitespace and keeps lines within 76 characters', () => {
+  const text = `<p>Caf\u00e9 \u{1f600} = ${'x'.repeat(100)}</p>  \n\tindented\t\r\n${'=\u00e9'.repeat(40)}\n`;
+  const encoded = quotedPrintableEncode(text);
+  const lines = encoded.split('\r\n');
+  for (const line of lines) {
+    assert.ok(line.length <= 76, `${line.length} characters: ${line}`);
+    assert.doesNotMatch(line, /[ \t]$/);
+  }
+  assert.doesNotMatch(encoded, /(?<!\r)\n|\r(?!\n)/);
+  const decoded = new TextDecoder().decode(Uint8Array.from(decodeTransferEncoding(encoded, 'quoted-printable'), char => char.charCodeAt(0)));
+  assert.strictEqual(decoded, text.replace(/\r?\n/g, '\r\n'));
+});
+
+test('quoted-printable starts counting again at every line break', () => {
+  const text = `${'a'.repeat(70)}\n${'b'.repeat(70)}`;
+  assert.strictEqual(quotedPrintableEncode(text), text.replace('\n', '\r\n'));
+});
+
+test('a single-part text body is carried over as an alternative with only its MIME headers', () => {
+  const rawRoot = parseRawMessage([
+    'From: sender@example.com',
+    'Subject: Plain',
+    'Message-ID: <plain@example.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain;',
+    ' charset=UTF-8',
+    'Content-Transfer-Encoding: 7bit',
+    '',
+    'Hello'
+  ].join('\n'));
+  const entity = formatRawBodyEntity(rawRoot);
+  assert.strictEqual(entity, 'Content-Type: text/plain;\r\n charset=UTF-8\r\nContent-Transfer-Encoding: 7bit\r\n\r\nHello');
+  const part = parseRawMessage(entity);
+  assert.deepStrictEqual(Array.from(part.headers.keys()), ['content-type', 'content-transfer-encoding']);
+  assert.strictEqual(part.body, 'Hello');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const { findTrackerReason } = loadBackgroundScripts();
+
+test('open-tracking endpoints are blocked', () => {
+  for (const url of [
+    'https://mail.example.com/track/open.php?u=1&id=2',
+    'https://links.example.com/wf/open?upn=abc',
+    'https://example.com/pixel.gif',
+    'https://example.com/e/beacon/',
+    'https://example.com/img/logo.png?e=open'
+  ]) {
+    assert.strictEqual(findTrackerReason(url, null, []), 'tracking-url', url);
+  }
+});
+
+test('content whose path merely contains a tracking word is not blocked', () => {
+  for (const url of [
+    'https://cdn.example.com/pixel/banner.jpg',
+    'https://example.com/track/123/cover.jpg',
+    'https://example.com/open/source/logo.png',
+    'https://example.com/tracking-report.pdf',
+    'https://example.com/images/opening.png'
+  ]) {
+    assert.strictEqual(findTrackerReason(url, null, []), null, url);
+  }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+// How many body chunks the fake server has sent, by URL.
+const sentChunks = new Map();
+
+/**
+* A fetch() that answers every URL with `chunkCount` chunks of 1 KiB, with a
+* Content-Length if the URL asks for one.
+* @param {string} url The URL, e.g. https://example.com/?chunks=4&length=4096
+* @returns {Promise<Response>}
+*/
+async function fakeFetch(url) {
+  const params = new URL(url).searchParams;
+  const chunkCount = Number(params.get('chunks'));
+  sentChunks.set(url, 0);
+  const body = new ReadableStream({
+    pull(controller) {
+      if (sentChunks.get(url) === chunkCount) {
+        controller.close();
+        return;
+      }
+      sentChunks.set(url, sentChunks.get(url) + 1);
+      controller.enqueue(new Uint8Array(1024).fill(65));
+    }
+  }, { highWaterMark: 0 });
+  const headers = params.has('length') ? { 'content-length': params.get('length') } : {};
+  return new Response(body, { headers });
+}
+
+// The bodies are hashed by Node's crypto, which only takes typed arrays of its own realm.
+const { fetchResource } = loadBackgroundScripts({ fetch: fakeFetch, Uint8Array });
+
+test('a body within the limit is read whole', async () => {
+  const resource = await fetchResource('https://example.com/small?chunks=4', { timeout: 1000, maxSize: 8 * 1024 });
+  assert.strictEqual(resource.data.byteLength, 4 * 1024);
+});
+
+test('a Content-Length above the limit fails before the body is read', async () => {
+  const url = 'https://example.com/declared?chunks=64&length=65536';
+  await assert.rejects(fetchResource(url, { timeout: 1000, maxSize: 8 * 1024 }), error => error.tooLarge && error.size === 65536);
+  assert.strictEqual(sentChunks.get(url), 0);
+});
+
+test('a body without a Content-Length stops being read once it passes the limit', async () => {
+  const url = 'https://example.com/streamed?chunks=64';
+  await assert.rejects(fetchResource(url, { timeout: 1000, maxSize: 8 * 1024 }), error => error.tooLarge && error.size === null);
+  assert.ok(sentChunks.get(url) <= 10, `${sentChunks.get(url)} chunks were sent`);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackgroundScripts } = require('./load-background');
+
+const { createZipArchive, addZipEntry, finishZipArchive } = loadBackgroundScripts();
+
+/**
+* Reads the end of central directory records of a ZIP archive.
+* @param {Blob} blob The archive.
+* @returns {Promise<{view: DataView, end: number, zip64End: number|null, zip64EndOffset: number|null}>}
+*   The positions of the records in the Blob, and the offset of the ZIP64 record the locator gives.
+*/
+async function readEndRecords(blob) {
+  const view = new DataView(await blob.arrayBuffer());
+  const end = view.byteLength - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+  const locator = end - 20;
+  const hasZip64 = locator >= 0 && view.getUint32(locator, true) === 0x07064b50;
+  return {
+    view,
+    end,
+    zip64End: hasZip64 ? locator - 56 : null,
+    zip64EndOffset: hasZip64 ? Number(view.getBigUint64(locator + 8, true)) : null
+  };
+}
+
+test('a small archive has no ZIP64 records', async () => {
+  const zip = createZipArchive();
+  addZipEntry(zip, 'a.eml', 'a');
+  const { view, end, zip64End } = await readEndRecords(finishZipArchive(zip));
+  assert.strictEqual(zip64End, null);
+  assert.strictEqual(view.getUint16(end + 10, true), 1);
+});
+
+test('more than 65534 entries are counted in the ZIP64 records', async () => {
+  const zip = createZipArchive();
+  addZipEntry(zip, 'a.eml', '');
+  // Pretend that 69999 more files have been added already.
+  zip.entryCount = 70000;
+  const { view, end, zip64End } = await readEndRecords(finishZipArchive(zip));
+  assert.strictEqual(view.getUint16(end + 10, true), 0xffff);
+  assert.strictEqual(view.getUint32(zip64End, true), 0x06064b50);
+  assert.strictEqual(view.getBigUint64(zip64End + 32, true), 70000n);
+});
+
+test('offsets beyond 4 GB go into ZIP64 extra fields', async () => {
+  const zip = createZipArchive();
+  // Pretend that 5 GB have been written already.
+  zip.offset = 5 * 1024 ** 3;
+  addZipEntry(zip, 'late.eml', 'late');
+  const { view, zip64End, zip64EndOffset } = await readEndRecords(finishZipArchive(zip));
+  const directoryOffset = Number(view.getBigUint64(zip64End + 48, true));
+  assert.strictEqual(directoryOffset, 5 * 1024 ** 3 + 30 + 'late.eml'.length + 4);
+  assert.strictEqual(zip64EndOffset, directoryOffset + Number(view.getBigUint64(zip64End + 40, true)));
+
+  // The central directory follows the entry in the Blob.
+  const header = 30 + 'late.eml'.length + 4;
+  assert.strictEqual(view.getUint32(header, true), 0x02014b50);
+  assert.strictEqual(view.getUint32(header + 42, true), 0xffffffff);
+  const extraField = header + 46 + 'late.eml'.length;
+  assert.strictEqual(view.getUint16(extraField, true), 0x0001);
+  assert.strictEqual(Number(view.getBigUint64(extraField + 4, true)), 5 * 1024 ** 3);
+});
@@ -0,0 +1,212 @@
+// Preservation viewer: the popup of the message header button while a
+// preserved message is displayed. It shows how the message was preserved,
+// lists the embedded resources with their original URLs, and flags the
+// references that still point to remote content.
+
+// A resource embedded into CSS: its provenance comment, followed by the data: URI.
+const CSS_EMBEDDED_RESOURCE_PATTERN = /\/\* Content-Location="([^"]*)";(?:[^*]|\*(?!\/))*\*\/ url\(data:([^;,)]*)[^,)]*,([^)]*)\)/g;
+// url()s and @imports in CSS that load something from the network.
+const CSS_REMOTE_URL_PATTERN = /(?:url\(\s*['"]?|@import\s+['"])((?:https?:)?\/\/[^'")\s]+)/gi;
+
+const status = document.getElementById('status');
+const resourcesBody = document.querySelector('#resources tbody');
+const remoteBody = document.querySelector('#remote-references tbody');
+
+// The displayed message, and the Message-ID of the message it was preserved from.
+let displayedMessage = null;
+let originalMessageId = '';
+
+/**
+* Collects what the viewer shows about a preserved message.
+* @param {RawMimePart} root The parsed preserved message.
+* @returns {{info: Map<string, string>, report: Map<string, string>, resources: {url: string|null, contentType: string, size: number}[], remoteReferences: {source: string, url: string}[]}}
+*/
+function analyzePreservedMessage(root) {
+  const info = parsePreservationFields(root.headers.get('x-preservation-info')?.[0] || '');
+  const report = parsePreservationFields(root.headers.get('x-preservation-report')?.[0] || '');
+  const leafParts = root.parts.length > 0 ? listRawLeafParts(root) : [root];
+
+  const htmlPart = leafParts.find(part => part.contentType === 'text/html' && part.disposition !== 'attachment');
+  const doc = new DOMParser().parseFromString(htmlPart ? decodeRawPart(htmlPart, bytes => decodeHtml(bytes, htmlPart.contentTypeParams.charset).text) : '', 'text/html');
+  const originalUrls = mapContentIdsToOriginalUrls(doc);
+
+  // Stylesheets of the message: <style> elements, style attributes and embedded stylesheet parts.
+  const stylesheets = [
+    ...[...doc.querySelectorAll('style')].map(style => ({ source: 'style', css: style.textContent })),
+    ...[...doc.querySelectorAll('[style]')].map(element => ({ source: `${element.localName}[style]`, css: element.getAttribute('style') })),
+    ...leafParts.filter(part => part.contentType === 'text/css').map(part => ({
+      source: `stylesheet ${originalUrls.get(getContentId(part)) || getRawPartContentLocation(part) || ''}`.trim(),
+      css: decodeRawPart(part, bytes => decodeStylesheet(bytes, part.headers.get('content-type')?.[0] || null))
+    }))
+  ];
+
+  const resources = leafParts
+    .filter(part => part !== htmlPart && getContentId(part))
+    .map(part => ({
+      url: originalUrls.get(getContentId(part)) || getRawPartContentLocation(part),
+      contentType: part.contentType,
+      size: decodeTransferEncoding(part.body, part.headers.get('content-transfer-encoding')?.[0] || '7bit').length
+    }));
+  for (const { css } of stylesheets) {
+    for (const [, url, contentType, data] of css.matchAll(CSS_EMBEDDED_RESOURCE_PATTERN)) {
+      const base64 = data.replace(/[^A-Za-z0-9+/]/g, '');
+      resources.push({ url, contentType, size: Math.floor(base64.length * 3 / 4) });
+    }
+  }
+
+  return { info, report, resources, remoteReferences: findRemoteReferences(doc, stylesheets) };
+}
+
+/**
+* Decodes the text of a raw part.
+* @param {RawMimePart} part The part.
+* @param {function(Uint8Array): string} decode Turns the bytes of the body into text.
+* @returns {string}
+*/
+function decodeRawPart(part, decode) {
+  const encoding = part.headers.get('content-transfer-encoding')?.[0] || '7bit';
+  return decode(binaryStringToBytes(decodeTransferEncoding(part.body, encoding)));
+}
+
+/**
+* Returns the Content-ID of a part, without angle brackets and in lowercase.
+* @param {RawMimePart} part The part.
+* @returns {string|null}
+*/
+function getContentId(part) {
+  const contentId = part.headers.get('content-id')?.[0];
+  return contentId ? contentId.trim().replace(/^<|>$/g, '').toLowerCase() : null;
+}
+
+/**
+* Maps the Content-IDs the rewritten HTML refers to onto the URLs they
+* replaced, which were kept in `data-original-*` attributes.
+* @param {Document} doc The preserved HTML.
+* @returns {Map<string, string>} The original URLs by lowercase Content-ID.
+*/
+function mapContentIdsToOriginalUrls(doc) {
+  const originalUrls = new Map();
+  for (const { element, attribute, isSrcset } of discoverResourceReferences(doc)) {
+    const original = element.getAttribute(`data-original-${attribute.replace(':', '-')}`);
+    if (!original) continue;
+
+    const current = isSrcset ? parseSrcset(element.getAttribute(attribute)) : [{ url: element.getAttribute(attribute) }];
+    const previous = isSrcset ? parseSrcset(original) : [{ url: original }];
+    current.forEach(({ url }, index) => {
+      if (url.startsWith('cid:') && previous[index]) {
+        originalUrls.set(decodeURIComponent(url.substring('cid:'.length)).toLowerCase(), previous[index].url);
+      }
+    });
+  }
+  return originalUrls;
+}
+
+/**
+* Finds the references that still load something from the network.
+* @param {Document} doc The preserved HTML.
+* @param {{source: string, css: string}[]} stylesheets The stylesheets of the message.
+* @returns {{source: string, url: string}[]}
+*/
+function findRemoteReferences(doc, stylesheets) {
+  const isRemote = (url) => /^\s*(?:https?:)?\/\//i.test(url);
+  const references = [];
+
+  for (const { element, attribute, isSrcset } of discoverResourceReferences(doc)) {
+    const value = element.getAttribute(attribute);
+    const urls = isSrcset ? parseSrcset(value).map(candidate => candidate.url) : [value];
+    urls.filter(isRemote).forEach(url => references.push({ source: `${element.localName}[${attribute}]`, url: url.trim() }));
+  }
+  for (const { source, css } of stylesheets) {
+    for (const [, url] of css.matchAll(CSS_REMOTE_URL_PATTERN)) {
+      references.push({ source, url });
+    }
+  }
+  return references;
+}
+
+/**
+* Formats a size in bytes for display.
+* @param {number} bytes
+* @returns {string}
+*/
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+* Shows the details of the displayed preserved message.
+*/
+async function showPreservationDetails() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  displayedMessage = await messenger.messageDisplay.getDisplayedMessage(tab.id);
+  if (!displayedMessage) {
+    status.textContent = 'No message is displayed.';
+    return;
+  }
+
+  const root = parseRawMessage(await messenger.messages.getRaw(displayedMessage.id));
+  const { info, report, resources, remoteReferences } = analyzePreservedMessage(root);
+
+  originalMessageId = info.get('Original-Message-ID') || '';
+  const preservationDate = info.get('Preservation-Date');
+  document.getElementById('tool').textContent = `${info.get('Tool') || 'unknown'} ${info.get('Version') || ''}`.trim();
+  document.getElementById('preservation-date').textContent = preservationDate ? new Date(preservationDate).toLocaleString() : 'unknown';
+  document.getElementById('method').textContent = info.get('Preservation-Method') || 'unknown';
+  document.getElementById('original-message-id').textContent = originalMessageId || 'unknown';
+  document.getElementById('report').textContent = report.size > 0
+    ? `${report.get('Resources')} resources: ${report.get('Embedded')} embedded, ${report.get('Failed')} failed, ` +
+      `${report.get('Skipped')} skipped, ${report.get('Blocked')} blocked`
+    : 'No preservation report';
+  document.getElementById('show-original').disabled = !originalMessageId || originalMessageId === 'Not-Found';
+
+  resourcesBody.replaceChildren();
+  for (const resource of resources) {
+    const row = resourcesBody.insertRow();
+    row.insertCell().textContent = resource.url || 'Inline part of the original message';
+    row.insertCell().textContent = resource.contentType;
+    row.insertCell().textContent = formatSize(resource.size);
+  }
+  document.getElementById('resource-count').textContent = resources.length === 0
+    ? 'No embedded resources.'
+    : `${resources.length} embedded resource${resources.length === 1 ? '' : 's'}.`;
+
+  remoteBody.replaceChildren();
+  for (const reference of remoteReferences) {
+    const row = remoteBody.insertRow();
+    row.insertCell().textContent = reference.source;
+    row.insertCell().textContent = reference.url;
+  }
+  document.getElementById('remote-count').textContent = remoteReferences.length === 0
+    ? 'None: the message loads nothing from the network.'
+    : `${remoteReferences.length} reference${remoteReferences.length === 1 ? '' : 's'} still point to remote content.`;
+}
+
+/**
+* Opens the message the displayed one was preserved from, found by its Message-ID.
+*/
+async function showOriginalMessage() {
+  const headerMessageId = originalMessageId.trim().replace(/^<|>$/g, '');
+  // The preserved copy keeps the Message-ID of the original, so leave it out.
+  const { messages } = await messenger.messages.query({ headerMessageId });
+  const original = messages.find(message => message.id !== displayedMessage.id);
+  if (!original) {
+    status.textContent = 'The original message is not in any folder.';
+    return;
+  }
+  await messenger.messageDisplay.open({ messageId: original.id, location: 'tab' });
+  window.close();
+}
+
+document.getElementById('show-original').addEventListener('click', () => {
+  showOriginalMessage().catch(error => {
+    console.error('Failed to open the original message:', error);
+    status.textContent = 'Could not open the original message.';
+  });
+});
+
+showPreservationDetails().catch(error => {
+  console.error('Failed to read the preserved message:', error);
+  status.textContent = 'Could not read the preserved message.';
+});